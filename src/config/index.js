@@ -50,5 +50,56 @@ module.exports = {
       'fulfillments/create',
       'fulfillments/update'
     ]
+  },
+
+  deliveries: {
+    maxAttempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 8,
+    baseBackoffSeconds: parseInt(process.env.DELIVERY_BASE_BACKOFF_SECONDS) || 30,
+    maxBackoffSeconds: parseInt(process.env.DELIVERY_MAX_BACKOFF_SECONDS) || 6 * 60 * 60,
+    pollIntervalMs: parseInt(process.env.DELIVERY_POLL_INTERVAL_MS) || 15000,
+    batchSize: 20
+  },
+
+  rateLimit: {
+    bucketCapacity: 40,
+    leakRate: 2,
+    maxRetries: parseInt(process.env.SHOPIFY_MAX_RETRIES) || 5,
+    baseBackoffMs: 1000,
+    maxBackoffMs: 30000
+  },
+
+  pagination: {
+    maxAllRecords: parseInt(process.env.PAGINATION_MAX_RECORDS) || 2500
+  },
+
+  bulk: {
+    pollIntervalMs: parseInt(process.env.BULK_POLL_INTERVAL_MS) || 5000,
+    // A job that hasn't updated in this long died with its process (running jobs update at every poll)
+    jobTimeoutMs: 15 * 60 * 1000
+  },
+
+  skuIndex: {
+    ttlMs: parseInt(process.env.SKU_INDEX_TTL_MS) || 10 * 60 * 1000
+  },
+
+  idempotency: {
+    ttlMs: parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS) || 24 * 60 * 60 * 1000,
+    // A key still processing after this long belongs to a request that died with its process
+    processingTimeoutMs: 15 * 60 * 1000,
+    cleanupIntervalMs: 60 * 60 * 1000
+  },
+
+  inventoryBatch: {
+    maxRows: parseInt(process.env.INVENTORY_BATCH_MAX_ROWS) || 5000,
+    // Shopify accepts up to 250 setQuantities per inventorySetOnHandQuantities call
+    chunkSize: 250,
+    // A reconciliation still applying after this long was interrupted
+    applyTimeoutMs: 15 * 60 * 1000
+  },
+
+  batch: {
+    maxRequests: parseInt(process.env.BATCH_MAX_REQUESTS) || 20,
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 4,
+    timeoutMs: parseInt(process.env.BATCH_REQUEST_TIMEOUT_MS) || 30 * 1000
   }
 };
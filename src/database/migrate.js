@@ -71,6 +71,283 @@ const createTables = async () => {
       )
     `);
 
+    // Webhook subscriptions table - portal callback URLs that receive forwarded webhooks
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE CASCADE,
+        topic VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(api_key_id, topic, url)
+      )
+    `);
+
+    // Webhook deliveries table - durable queue of forwarded webhooks awaiting delivery
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        subscription_id INTEGER REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        topic VARCHAR(255) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP
+      )
+    `);
+
+    // Dead letters table - deliveries that exhausted their retry attempts
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+        id SERIAL PRIMARY KEY,
+        delivery_id INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        subscription_id INTEGER REFERENCES webhook_subscriptions(id) ON DELETE SET NULL,
+        topic VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        attempts INTEGER NOT NULL,
+        last_status_code INTEGER,
+        last_error TEXT,
+        failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        redriven_at TIMESTAMP
+      )
+    `);
+
+    // Webhook events table - every received Shopify webhook, used for deduplication and ordering
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        webhook_id VARCHAR(255),
+        topic VARCHAR(255) NOT NULL,
+        resource_type VARCHAR(100),
+        resource_id VARCHAR(255),
+        triggered_at TIMESTAMPTZ,
+        received_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        resource_version INTEGER,
+        is_stale BOOLEAN DEFAULT false,
+        UNIQUE(store_id, webhook_id)
+      )
+    `);
+
+    // Resource versions table - latest webhook seen per resource, for ordering guarantees
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS resource_versions (
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        resource_type VARCHAR(100) NOT NULL,
+        resource_id VARCHAR(255) NOT NULL,
+        version INTEGER NOT NULL DEFAULT 1,
+        last_triggered_at TIMESTAMPTZ,
+        last_event_id INTEGER REFERENCES webhook_events(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (store_id, resource_type, resource_id)
+      )
+    `);
+
+    // Link deliveries to the webhook event they forward
+    await client.query(`
+      ALTER TABLE webhook_deliveries
+      ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES webhook_events(id) ON DELETE SET NULL
+    `);
+
+    // GDPR requests table - mandatory privacy webhooks and proof of their fulfillment
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS gdpr_requests (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE SET NULL,
+        shop_domain VARCHAR(255) NOT NULL,
+        topic VARCHAR(100) NOT NULL,
+        shopify_request_id VARCHAR(255),
+        customer_id VARCHAR(255),
+        customer_email VARCHAR(255),
+        orders_requested JSONB,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        details JSONB,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+
+    // Mirror tables - local copies of Shopify resources, kept current from webhooks
+    for (const table of ['mirror_orders', 'mirror_products', 'mirror_customers']) {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+          shopify_id BIGINT NOT NULL,
+          data JSONB NOT NULL,
+          shopify_created_at TIMESTAMPTZ,
+          shopify_updated_at TIMESTAMPTZ,
+          synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (store_id, shopify_id)
+        )
+      `);
+    }
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mirror_inventory_levels (
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        inventory_item_id BIGINT NOT NULL,
+        location_id BIGINT NOT NULL,
+        data JSONB NOT NULL,
+        shopify_updated_at TIMESTAMPTZ,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (store_id, inventory_item_id, location_id)
+      )
+    `);
+
+    // Mirror sync state table - backfill progress per store and resource
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mirror_sync_state (
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        resource_type VARCHAR(100) NOT NULL,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        record_count INTEGER DEFAULT 0,
+        last_error TEXT,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        PRIMARY KEY (store_id, resource_type)
+      )
+    `);
+
+    // Jobs table - long-running background work such as bulk backfills
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+        type VARCHAR(100) NOT NULL,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        resources JSONB NOT NULL,
+        progress JSONB DEFAULT '{}',
+        bulk_operation_id VARCHAR(255),
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Inventory ledger table - quantity changes made by the app or reported by webhooks
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inventory_ledger (
+        id BIGSERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+        event_id INTEGER REFERENCES webhook_events(id) ON DELETE SET NULL,
+        source VARCHAR(20) NOT NULL,
+        inventory_item_id BIGINT NOT NULL,
+        location_id BIGINT NOT NULL,
+        quantity_name VARCHAR(50) NOT NULL,
+        quantity_before INTEGER,
+        quantity_after INTEGER,
+        delta INTEGER,
+        reason VARCHAR(50),
+        reference_document_uri TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Inventory transfers table - stock moved between locations, by reference ID
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inventory_transfers (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+        reference_id VARCHAR(255) NOT NULL,
+        inventory_item_id BIGINT NOT NULL,
+        from_location_id BIGINT NOT NULL,
+        to_location_id BIGINT NOT NULL,
+        quantity INTEGER NOT NULL,
+        reason VARCHAR(50),
+        reference_document_uri TEXT,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        error TEXT,
+        from_available_after INTEGER,
+        to_available_after INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        UNIQUE(store_id, reference_id)
+      )
+    `);
+
+    // Inventory reconciliations table - portal stock files diffed against Shopify, and their corrections
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inventory_reconciliations (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        items JSONB NOT NULL,
+        summary JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        apply_started_at TIMESTAMP,
+        applied_at TIMESTAMP
+      )
+    `);
+
+    // Alert rules table - per-store low-stock thresholds (per item, per location or store-wide)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        name VARCHAR(255),
+        inventory_item_id BIGINT,
+        sku VARCHAR(255),
+        location_id BIGINT,
+        threshold INTEGER NOT NULL,
+        channels JSONB NOT NULL DEFAULT '["slack", "email"]',
+        slack_webhook_url TEXT,
+        notify_email VARCHAR(255),
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Alert states table - stock state (ok, low or out) last seen by each rule per item/location
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_states (
+        rule_id INTEGER REFERENCES alert_rules(id) ON DELETE CASCADE,
+        inventory_item_id BIGINT NOT NULL,
+        location_id BIGINT NOT NULL,
+        state VARCHAR(10) NOT NULL DEFAULT 'ok',
+        last_available INTEGER,
+        triggered_at TIMESTAMP,
+        resolved_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (rule_id, inventory_item_id, location_id)
+      )
+    `);
+
+    // Idempotency keys table - responses to write requests, replayed when a request is retried
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE CASCADE,
+        idempotency_key VARCHAR(255) NOT NULL,
+        method VARCHAR(10) NOT NULL,
+        path TEXT NOT NULL,
+        request_hash VARCHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing',
+        response_status INTEGER,
+        response_body JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        UNIQUE(api_key_id, idempotency_key)
+      )
+    `);
+
     // Create indexes for better performance
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_stores_shop_domain ON stores(shop_domain);
@@ -79,6 +356,21 @@ const createTables = async () => {
       CREATE INDEX IF NOT EXISTS idx_webhooks_store ON webhooks(store_id);
       CREATE INDEX IF NOT EXISTS idx_sync_logs_store ON sync_logs(store_id);
       CREATE INDEX IF NOT EXISTS idx_sync_logs_created ON sync_logs(created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_topic ON webhook_subscriptions(store_id, topic);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_store ON webhook_deliveries(store_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_store ON webhook_dead_letters(store_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_store ON webhook_events(store_id, id);
+      CREATE INDEX IF NOT EXISTS idx_gdpr_requests_shop ON gdpr_requests(shop_domain);
+      CREATE INDEX IF NOT EXISTS idx_mirror_orders_updated ON mirror_orders(store_id, shopify_updated_at);
+      CREATE INDEX IF NOT EXISTS idx_mirror_products_updated ON mirror_products(store_id, shopify_updated_at);
+      CREATE INDEX IF NOT EXISTS idx_mirror_customers_updated ON mirror_customers(store_id, shopify_updated_at);
+      CREATE INDEX IF NOT EXISTS idx_mirror_inventory_location ON mirror_inventory_levels(store_id, location_id);
+      CREATE INDEX IF NOT EXISTS idx_jobs_store ON jobs(store_id, status);
+      CREATE INDEX IF NOT EXISTS idx_inventory_ledger_item ON inventory_ledger(store_id, inventory_item_id, id);
+      CREATE INDEX IF NOT EXISTS idx_alert_rules_store ON alert_rules(store_id);
+      CREATE INDEX IF NOT EXISTS idx_inventory_reconciliations_store ON inventory_reconciliations(store_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
     `);
 
     await client.query('COMMIT');
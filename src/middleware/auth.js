@@ -96,10 +96,11 @@ const apiLimiter = rateLimit({
 
 /**
  * Helper function to log sync operations (shared)
+ * Returns the log entry, or null if it couldn't be written.
  */
 async function logOperation(req, action, resourceType, resourceId, status, details = null) {
   try {
-    await syncLogService.logSync(
+    return await syncLogService.logSync(
       req.storeId,
       req.apiKeyId,
       action,
@@ -110,6 +111,7 @@ async function logOperation(req, action, resourceType, resourceId, status, detai
     );
   } catch (error) {
     console.error('Error logging sync operation:', error);
+    return null;
   }
 }
 
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const idempotencyService = require('../services/idempotencyService');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Honor an Idempotency-Key header on write requests.
+ * The first request with a key runs and its response is stored; a retry with the same key and body
+ * gets the stored response back (with Idempotent-Replayed: true) instead of running again.
+ * Reusing a key for a different request is refused with 422.
+ * Responses with a 5xx status are not stored, so a retry after a server or Shopify failure runs again.
+ * A request the client abandoned keeps its key until the handler responds or the processing timeout passes.
+ * Must run after API key authentication (keys are scoped to the API key).
+ */
+async function idempotency(req, res, next) {
+  const key = req.headers['idempotency-key'];
+  if (!key || !WRITE_METHODS.includes(req.method)) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  // The query string is part of the request (?dry_run=true must not replay as the real write)
+  const path = req.originalUrl;
+  const requestHash = crypto
+    .createHash('sha256')
+    .update(typeof req.body === 'string' ? req.body : JSON.stringify(req.body ?? {}))
+    .digest('hex');
+
+  let claim;
+  try {
+    claim = await idempotencyService.claimKey(req.storeId, req.apiKeyId, key, { method: req.method, path, requestHash });
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({ error: 'Failed to check Idempotency-Key', message: error.message });
+  }
+
+  const { record, claimed } = claim;
+
+  if (!claimed) {
+    if (record.method !== req.method || record.path !== path || record.request_hash !== requestHash) {
+      return res.status(422).json({
+        error: 'IDEMPOTENCY_KEY_REUSED',
+        message: 'This Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (record.status !== 'completed') {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        error: 'IDEMPOTENCY_KEY_IN_USE',
+        message: 'A request with this Idempotency-Key is still in progress'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.response_status).json(record.response_body);
+  }
+
+  // Store or release the key once the handler has produced its response. A client that disconnects
+  // doesn't stop the handler, so its key stays processing (a retry gets 409) until releaseInterruptedKeys
+  // frees it; it is not released on close.
+  let settled = false;
+  const settle = (responseBody) => {
+    if (settled) return;
+    settled = true;
+
+    const store = res.statusCode < 500 && responseBody !== undefined;
+    const done = store
+      ? idempotencyService.completeKey(record.id, res.statusCode, responseBody)
+      : idempotencyService.releaseKey(record.id);
+
+    done.catch(error => console.error('Error saving idempotency key:', error));
+  };
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    settle(body);
+    return json(body);
+  };
+
+  // Responses that aren't JSON (e.g. CSV) aren't stored
+  res.on('finish', () => settle());
+
+  next();
+}
+
+module.exports = { idempotency };
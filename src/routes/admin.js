@@ -5,9 +5,14 @@ const storeService = require('../services/storeService');
 const apiKeyService = require('../services/apiKeyService');
 const webhookService = require('../services/webhookService');
 const syncLogService = require('../services/syncLogService');
+const deliveryService = require('../services/deliveryService');
+const complianceService = require('../services/complianceService');
+const mirrorService = require('../services/mirrorService');
+const bulkSyncService = require('../services/bulkSyncService');
+const notificationService = require('../services/notificationService');
+const alertService = require('../services/alertService');
+const skuIndexService = require('../services/skuIndexService');
 const config = require('../config');
-const axios = require('axios');
-const nodemailer = require('nodemailer');
 
 // Add CORS headers for admin API routes
 router.use('/api/admin/*', (req, res, next) => {
@@ -541,7 +546,7 @@ router.get('/admin', (req, res) => {
           
           document.getElementById('app').innerHTML = '<div class="stats"><div class="stat-card"><div class="stat-label">Connected Store</div><div class="stat-value" style="font-size: 18px;">' + SHOP + '</div></div><div class="stat-card"><div class="stat-label">Active Keys</div><div class="stat-value">' + activeKeys + '</div></div><div class="stat-card"><div class="stat-label">Total Keys</div><div class="stat-value">' + totalKeys + '</div></div></div>' +
             '<div class="card"><div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;"><h2 style="margin: 0;">📋 API Keys</h2><button class="button" onclick="openCreateModal()">+ Create New API Key</button></div><p class="text-muted">API keys allow your custom inventory portal to securely access Shopify data in real-time.</p><div style="margin-top: 24px;">' + apiKeysHtml + '</div></div>' +
-            '<div class="card"><h2>🔌 Available API Endpoints</h2><p class="text-muted">These endpoints are automatically adjusted based on your store permissions.</p>' +
+            '<div class="card"><h2>🔌 Available API Endpoints</h2><p class="text-muted">These endpoints are automatically adjusted based on your store permissions. Try them with one of your keys in the <a href="' + API_URL + '/admin/api-explorer?shop=' + SHOP + '&token=' + TOKEN + '">API Explorer</a>.</p>' +
             '<div class="credential-box" style="margin: 16px 0;"><div class="credential-label">Base URL</div><div class="credential-text">' + API_URL + '/api/v1</div></div>' +
             '<div class="endpoints">' +
               AVAILABLE_SCOPES.filter(function(s) { return storeData.scopes.includes(s.value); }).map(function(s) {
@@ -613,6 +618,99 @@ router.get('/admin', (req, res) => {
 
 
 
+/**
+ * GET /admin/api-explorer - Try the API with one of the store's keys (Swagger UI over /api/openapi.json)
+ */
+router.get('/admin/api-explorer', (req, res) => {
+  const { shop, token } = req.query;
+
+  if (!shop) {
+    return res.status(400).send('Missing shop parameter. Please install the app first.');
+  }
+
+  if (!token || token === 'undefined' || token === 'null') {
+    return res.redirect(`/auth?shop=${shop}`);
+  }
+
+  res.setHeader('Content-Security-Policy', "frame-ancestors https://*.myshopify.com https://admin.shopify.com");
+  res.removeHeader('X-Frame-Options');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Shopify Data Sync App - API Explorer</title>
+      <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+      <style>
+        * { box-sizing: border-box; }
+        body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif; background: #f6f6f7; }
+        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #5c6ac4 0%, #4a5ab3 100%); color: white; padding: 30px 20px; margin-bottom: 30px; }
+        .header h1 { margin: 0; font-size: 28px; font-weight: 600; }
+        .header a { color: white; }
+        .card { background: white; border: 1px solid #dfe3e8; border-radius: 8px; padding: 24px; margin-bottom: 20px; }
+        .text-muted { color: #637381; font-size: 14px; }
+        .fields { display: flex; gap: 12px; flex-wrap: wrap; align-items: flex-end; }
+        .fields label { display: flex; flex-direction: column; gap: 6px; font-size: 13px; font-weight: 500; color: #212b36; flex: 1; min-width: 240px; }
+        .fields input { padding: 10px; border: 1px solid #c4cdd5; border-radius: 4px; font-family: monospace; }
+        .button { background: #5c6ac4; color: white; border: none; padding: 11px 20px; border-radius: 4px; cursor: pointer; font-size: 14px; font-weight: 500; }
+        .error { color: #de3618; margin-top: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <div class="container">
+          <h1>🧭 API Explorer</h1>
+          <p><a href="/admin?shop=${shop}&token=${token}">← Back to API keys</a></p>
+        </div>
+      </div>
+
+      <div class="container">
+        <div class="card">
+          <p class="text-muted">Enter the credentials of the API key to try. The explorer lists the endpoints that key's scopes allow, and calls run against your live store. Credentials are only kept on this page.</p>
+          <form class="fields" onsubmit="loadExplorer(event)">
+            <label>X-API-Key <input id="apiKey" autocomplete="off" required></label>
+            <label>X-API-Secret <input id="apiSecret" type="password" autocomplete="off" required></label>
+            <button class="button" type="submit">Load Endpoints</button>
+          </form>
+          <div class="error" id="error"></div>
+        </div>
+        <div class="card" id="swagger"></div>
+      </div>
+
+      <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+      <script>
+        const API_URL = '${config.app.url}';
+
+        async function loadExplorer(event) {
+          event.preventDefault();
+          const apiKey = document.getElementById('apiKey').value.trim();
+          const apiSecret = document.getElementById('apiSecret').value.trim();
+          document.getElementById('error').textContent = '';
+
+          try {
+            const response = await fetch(API_URL + '/api/openapi.json', {
+              headers: { 'X-API-Key': apiKey, 'X-API-Secret': apiSecret }
+            });
+            const spec = await response.json();
+
+            if (!response.ok) throw new Error(spec.message || spec.error || 'Failed to load the API spec');
+
+            const ui = SwaggerUIBundle({ spec: spec, dom_id: '#swagger', tryItOutEnabled: true });
+            ui.preauthorizeApiKey('ApiKey', apiKey);
+            ui.preauthorizeApiKey('ApiSecret', apiSecret);
+          } catch (error) {
+            document.getElementById('error').textContent = error.message;
+          }
+        }
+      </script>
+    </body>
+    </html>
+  `);
+});
+
 /**
  * GET /api/admin/store - Get store data and API keys
  */
@@ -725,6 +823,387 @@ router.delete('/api/admin/api-keys/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/deliveries - List forwarded webhook deliveries
+ */
+router.get('/api/admin/deliveries', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const status = req.query.status || null;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const deliveries = await deliveryService.getDeliveriesByStore(decoded.storeId, status, limit, offset);
+
+    res.json({ deliveries, status, limit, offset });
+  } catch (error) {
+    console.error('Error fetching deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+/**
+ * GET /api/admin/dead-letters - List deliveries that exhausted their retries
+ */
+router.get('/api/admin/dead-letters', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const deadLetters = await deliveryService.getDeadLettersByStore(decoded.storeId, limit, offset);
+
+    res.json({ deadLetters, limit, offset });
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letters' });
+  }
+});
+
+/**
+ * POST /api/admin/dead-letters/:id/redrive - Re-queue a failed delivery
+ */
+router.post('/api/admin/dead-letters/:id/redrive', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const { id } = req.params;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const deadLetter = await deliveryService.redriveDeadLetter(parseInt(id), decoded.storeId);
+
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    deliveryService.processDueDeliveries().catch(error => {
+      console.error('Error processing redriven delivery:', error);
+    });
+
+    res.json({ success: true, deadLetter });
+  } catch (error) {
+    console.error('Error redriving dead letter:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to redrive dead letter' });
+  }
+});
+
+/**
+ * GET /api/admin/mirror - Local mirror backfill status
+ */
+router.get('/api/admin/mirror', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const resources = await mirrorService.getSyncState(decoded.storeId);
+
+    res.json({ backfilling: mirrorService.isBackfilling(decoded.storeId), resources });
+  } catch (error) {
+    console.error('Error fetching mirror status:', error);
+    res.status(500).json({ error: 'Failed to fetch mirror status' });
+  }
+});
+
+/**
+ * POST /api/admin/mirror/backfill - Rebuild the local mirror from Shopify
+ */
+router.post('/api/admin/mirror/backfill', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const store = await storeService.getStoreById(decoded.storeId);
+
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    if (mirrorService.isBackfilling(store.id)) {
+      return res.status(409).json({ error: 'Backfill already running' });
+    }
+
+    const resources = (Array.isArray(req.body.resources) ? req.body.resources : ['products', 'inventory_levels', 'customers', 'orders'])
+      .map(resource => mirrorService.resolveResource(resource))
+      .filter(Boolean);
+
+    // Paged REST backfill on request; otherwise a bulk operation job
+    if (req.body.mode === 'rest') {
+      // Runs in the background; progress is visible via GET /api/admin/mirror
+      mirrorService.backfillStore(store, resources).catch(error => {
+        console.error('Mirror backfill failed:', error);
+      });
+
+      return res.status(202).json({ success: true, mode: 'rest', resources });
+    }
+
+    const job = await bulkSyncService.startBackfill(store, null, resources);
+    res.status(202).json({ success: true, mode: 'bulk', job });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message, jobId: error.jobId });
+    }
+
+    console.error('Error starting mirror backfill:', error);
+    res.status(500).json({ error: 'Failed to start mirror backfill' });
+  }
+});
+
+/**
+ * GET /api/admin/gdpr-requests - List privacy requests received for the store
+ */
+router.get('/api/admin/gdpr-requests', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const requests = await complianceService.getRequestsByStore(decoded.storeId, limit, offset);
+
+    res.json({ requests, limit, offset });
+  } catch (error) {
+    console.error('Error fetching GDPR requests:', error);
+    res.status(500).json({ error: 'Failed to fetch GDPR requests' });
+  }
+});
+
+/**
+ * GET /api/admin/gdpr-requests/:id/export - Data held for a customers/data_request
+ */
+router.get('/api/admin/gdpr-requests/:id/export', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const request = await complianceService.getRequest(parseInt(req.params.id), decoded.storeId);
+
+    if (!request || request.topic !== 'customers/data_request') {
+      return res.status(404).json({ error: 'Data request not found' });
+    }
+
+    const data = await complianceService.exportCustomerData(request);
+
+    res.json({ request, data });
+  } catch (error) {
+    console.error('Error exporting customer data:', error);
+    res.status(500).json({ error: 'Failed to export customer data' });
+  }
+});
+
+/**
+ * POST /api/admin/gdpr-requests/:id/fulfill - Record that a data request was fulfilled
+ */
+router.post('/api/admin/gdpr-requests/:id/fulfill', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const request = await complianceService.fulfillRequest(parseInt(req.params.id), decoded.storeId, req.body.notes);
+
+    if (!request) {
+      return res.status(404).json({ error: 'Data request not found' });
+    }
+
+    res.json({ success: true, request });
+  } catch (error) {
+    console.error('Error fulfilling data request:', error);
+    res.status(500).json({ error: 'Failed to fulfill data request' });
+  }
+});
+
+/**
+ * Resolve a rule's SKU to its inventory item (throws with status 404/409 if it can't)
+ */
+async function resolveRuleSku(store, fields) {
+  if (!fields.sku || fields.inventory_item_id) return fields;
+
+  const variant = await skuIndexService.resolve(store.id, store.shop_domain, store.access_token, { sku: fields.sku });
+  return { ...fields, inventory_item_id: variant.inventory_item_id };
+}
+
+/**
+ * GET /api/admin/alert-rules - List low-stock alert rules
+ */
+router.get('/api/admin/alert-rules', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const rules = await alertService.getRules(decoded.storeId);
+
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({ error: 'Failed to fetch alert rules' });
+  }
+});
+
+/**
+ * GET /api/admin/alert-rules/:id - Get an alert rule and the items it is alerting for
+ */
+router.get('/api/admin/alert-rules/:id', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const rule = await alertService.getRule(parseInt(req.params.id), decoded.storeId);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const triggered = await alertService.getTriggeredStates(rule.id);
+    res.json({ success: true, rule, triggered });
+  } catch (error) {
+    console.error('Error fetching alert rule:', error);
+    res.status(500).json({ error: 'Failed to fetch alert rule' });
+  }
+});
+
+/**
+ * POST /api/admin/alert-rules - Create a low-stock alert rule
+ */
+router.post('/api/admin/alert-rules', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const invalid = alertService.validateRule(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const store = await storeService.getStoreById(decoded.storeId);
+
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const rule = await alertService.createRule(store.id, await resolveRuleSku(store, req.body));
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, matches: error.matches });
+    }
+
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({ error: 'Failed to create alert rule' });
+  }
+});
+
+/**
+ * PUT /api/admin/alert-rules/:id - Update an alert rule
+ */
+router.put('/api/admin/alert-rules/:id', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const invalid = alertService.validateRule(req.body, { partial: true });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const store = await storeService.getStoreById(decoded.storeId);
+
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const rule = await alertService.updateRule(parseInt(req.params.id), store.id, await resolveRuleSku(store, req.body));
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, matches: error.matches });
+    }
+
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+/**
+ * DELETE /api/admin/alert-rules/:id - Delete an alert rule
+ */
+router.delete('/api/admin/alert-rules/:id', async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    const deleted = await alertService.deleteRule(parseInt(req.params.id), decoded.storeId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({ error: 'Failed to delete alert rule' });
+  }
+});
+
 /**
  * POST /api/admin/support - Send support request to Slack
  */
@@ -744,18 +1223,15 @@ router.post('/api/admin/support', async (req, res) => {
       return res.status(404).json({ error: 'Store not found' });
     }
 
-    const webhookUrl = config.app.supportWebhookUrl;
-    const supportEmail = config.app.supportEmail;
-
-    if (!webhookUrl && !supportEmail) {
+    if (!notificationService.canSendSlack() && !notificationService.canSendEmail()) {
       console.warn('⚠️ No support notification (Slack/Email) configured. Request logged only.');
       console.log('Support request:', { shop: store.shop_domain, email, subject, message });
       return res.json({ success: true, message: 'Request logged (Notifications not configured)' });
     }
 
     // 1. Send to Slack if configured
-    if (webhookUrl) {
-      const slackMessage = {
+    if (notificationService.canSendSlack()) {
+      await notificationService.sendSlack({
         text: `🆕 *New Support Request from ${store.shop_domain}*`,
         attachments: [
           {
@@ -770,25 +1246,13 @@ router.post('/api/admin/support', async (req, res) => {
             ts: Math.floor(Date.now() / 1000)
           }
         ]
-      };
-      await axios.post(webhookUrl, slackMessage).catch(err => console.error('Slack error:', err.message));
+      });
     }
 
     // 2. Send to Email if configured
-    if (supportEmail && config.app.smtp.host) {
-      const transporter = nodemailer.createTransport({
-        host: config.app.smtp.host,
-        port: config.app.smtp.port,
-        secure: config.app.smtp.port == 465,
-        auth: {
-          user: config.app.smtp.user,
-          pass: config.app.smtp.pass
-        }
-      });
-
-      await transporter.sendMail({
+    if (notificationService.canSendEmail()) {
+      await notificationService.sendEmail({
         from: `"${store.shop_domain} Support" <${config.app.smtp.user}>`,
-        to: supportEmail,
         replyTo: email,
         subject: `[Support Request] ${subject}`,
         text: `Store: ${store.shop_domain}\nFrom: ${email}\nSubject: ${subject}\n\nMessage:\n${message}`,
@@ -801,7 +1265,7 @@ router.post('/api/admin/support', async (req, res) => {
           <p><strong>Message:</strong></p>
           <p>${message.replace(/\n/g, '<br>')}</p>
         `
-      }).catch(err => console.error('Email error:', err.message));
+      });
     }
 
     res.json({ success: true });
@@ -1,22 +1,100 @@
+const http = require('http');
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 const { verifyApiKey, apiLimiter, logOperation } = require('../middleware/auth');
-const { ShopifyAPI } = require('../utils/shopify');
+const { idempotency } = require('../middleware/idempotency');
+const { ShopifyAPI, toGid } = require('../utils/shopify');
+const { rateLimiter } = require('../utils/rateLimiter');
+const { graphqlCost } = require('../utils/graphqlCost');
+const { parseColumns, getPath, toCsvRow, parseCsv } = require('../utils/csv');
+const { diff, parsePath, readPath, sameValue, isPlainObject } = require('../utils/diff');
+const { describeRoute, buildSpec } = require('../utils/openapi');
 const syncLogService = require('../services/syncLogService');
-
-// Apply rate limiting to all API routes
+const subscriptionService = require('../services/subscriptionService');
+const webhookEventService = require('../services/webhookEventService');
+const mirrorService = require('../services/mirrorService');
+const jobService = require('../services/jobService');
+const bulkSyncService = require('../services/bulkSyncService');
+const skuIndexService = require('../services/skuIndexService');
+const inventoryLedgerService = require('../services/inventoryLedgerService');
+const inventoryTransferService = require('../services/inventoryTransferService');
+const reconciliationService = require('../services/reconciliationService');
+const graphqlRoutes = require('./graphql');
+const config = require('../config');
+
+// Apply rate limiting to all API routes (each request in a batch counts too)
 router.use(apiLimiter);
 
-// Apply API key authentication to all routes (except health)
+// Apply API key authentication to all routes (except health; batch requests use the batch's key)
 router.use((req, res, next) => {
-  if (req.path === '/health') return next();
+  if (req.path === '/health' || req.isBatchRequest) return next();
   verifyApiKey(req, res, next);
 });
 
+// Report the store's Shopify REST bucket fill and GraphQL budget (shared by all of its API keys) on every response
+router.use((req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    const bucket = req.shopDomain && rateLimiter.getStatus(req.shopDomain);
+    if (bucket) {
+      res.set('X-Shopify-Shop-Api-Call-Limit', `${bucket.used}/${bucket.capacity}`);
+    }
+
+    const budget = req.shopDomain && graphqlCost.getStatus(req.shopDomain);
+    if (budget) {
+      res.set('X-Shopify-GraphQL-Cost-Available', `${budget.available}/${budget.maximum}`);
+    }
+    return json(body);
+  };
+
+  next();
+});
+
+// Stock files can be uploaded as CSV (parsed here so Idempotency-Key checks see the whole body)
+router.use(express.text({ type: 'text/csv', limit: '5mb' }));
+
+// Replay the stored response when a write request is retried with the same Idempotency-Key
+router.use(idempotency);
+
+// Writes that answer ?dry_run=true with a preview instead of touching the store
+const dryRunRoutes = express.Router();
+const allowDryRun = (req, res, next) => {
+  req.dryRun = true;
+  next('router');
+};
+
+// App resources under /v1 are not Shopify resources, so the dynamic routes below don't apply to them
+dryRunRoutes.all(['/v1/subscriptions', '/v1/subscriptions/:id', '/v1/jobs', '/v1/batch'], (req, res, next) => next('router'));
+dryRunRoutes.put([
+  '/orders/:id', '/customers/:id', '/products/:id', '/fulfillments/:fulfillmentId/tracking', '/v1/:resource', '/v1/:resource/:id'
+], allowDryRun);
+dryRunRoutes.post([
+  '/products', '/inventory/sync', '/inventory/sync/batch', '/inventory/transfers', '/inventory/reconciliations/:id/apply',
+  '/orders/:orderId/fulfillments', '/fulfillment_orders/:fulfillmentOrderId/:action', '/v1/:resource', '/v1/orders/:orderId/refunds',
+  '/v1/operations/:logId/revert'
+], allowDryRun);
+dryRunRoutes.delete('/v1/:resource/:id', allowDryRun);
+
+// Any other write refuses a dry run rather than writing for real
+router.use((req, res, next) => {
+  const requested = ['true', '1'].includes(String(req.query.dry_run).toLowerCase());
+  if (!requested || !['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) return next();
+
+  dryRunRoutes(req, res, () => {
+    if (req.dryRun) return next();
+    res.status(400).json({
+      error: 'DRY_RUN_NOT_SUPPORTED',
+      message: `${req.method} ${req.path} does not support dry_run`
+    });
+  });
+});
+
 /**
  * GET /api/health - Health check
  */
-router.get('/health', (req, res) => {
+router.get('/health', describeRoute('Health', 'Health check'), (req, res) => {
   res.json({ status: 'ok', service: 'api' });
 });
 
@@ -24,7 +102,7 @@ router.get('/health', (req, res) => {
  * Helper function to check scope
  */
 function requireScope(scope) {
-  return (req, res, next) => {
+  const check = (req, res, next) => {
     // Basic check first
     if (req.scopes && req.scopes.includes(scope)) {
       return next();
@@ -46,6 +124,333 @@ function requireScope(scope) {
       requiredScope: scope
     });
   };
+
+  check.scope = scope;
+  return check;
+}
+
+/**
+ * Helper to fetch a REST list with cursor pagination
+ * (?cursor=<page_info> resumes a listing, ?all=true walks pages up to the configured cap)
+ */
+async function fetchList(shopify, path, query) {
+  const { cursor, all, source, ...params } = query;
+
+  if (all === 'true') {
+    const result = await shopify.getAll(path, { limit: 250, ...params }, config.pagination.maxAllRecords, cursor || null);
+    return {
+      data: result.data,
+      pagination: { next_cursor: result.nextCursor, prev_cursor: null, pages: result.pages, truncated: result.truncated }
+    };
+  }
+
+  const page = await shopify.getPage(path, params, cursor || null);
+  return {
+    data: page.data,
+    pagination: { next_cursor: page.nextCursor, prev_cursor: page.prevCursor }
+  };
+}
+
+/**
+ * Helper to serve a read from the local mirror instead of Shopify (?source=mirror)
+ */
+async function sendFromMirror(req, res, resource, id = null, wrap = (result, pagination) => ({ ...result, ...pagination })) {
+  const mirrorResource = mirrorService.resolveResource(resource);
+
+  if (!mirrorResource) {
+    return res.status(400).json({
+      error: 'Resource not mirrored',
+      message: `'${resource}' is not available from the local mirror. Mirrored resources: orders, products, customers, inventory.`
+    });
+  }
+
+  try {
+    const result = id
+      ? (/^\d+$/.test(id) ? await mirrorService.getRecord(req.storeId, mirrorResource, id) : null)
+      : await mirrorService.listRecords(req.storeId, mirrorResource, req.query);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Not found', message: `${resource} ${id} is not in the local mirror.` });
+    }
+
+    await logOperation(req, 'READ', resource, id, 'success', {
+      source: 'mirror',
+      ...(!id && { count: result[mirrorResource]?.length || 0 })
+    });
+
+    // Mirror cursors are the last ID of the page (inventory levels are not paged)
+    let pagination;
+    if (!id) {
+      const records = result[mirrorResource];
+      const full = mirrorResource !== 'inventory_levels' && records.length === mirrorService.getPageLimit(req.query);
+      pagination = { next_cursor: full ? records[records.length - 1].id.toString() : null, prev_cursor: null };
+    }
+
+    res.set('X-Data-Source', 'mirror');
+    res.json(wrap(result, pagination));
+  } catch (error) {
+    console.error(`❌ Mirror read of ${resource} failed:`, error.message);
+    await logOperation(req, 'READ', resource, id, 'error', { source: 'mirror', error: error.message });
+    res.status(500).json({ error: `Failed to fetch ${resource} from mirror`, message: error.message });
+  }
+}
+
+/**
+ * Middleware to serve the route from the local mirror when ?source=mirror is set
+ */
+function mirrorSource(resource) {
+  return (req, res, next) => {
+    if (req.query.source !== 'mirror') return next();
+    sendFromMirror(req, res, resource, req.params.id || null);
+  };
+}
+
+/**
+ * Shopify client that records the inventory changes it makes in the inventory ledger
+ */
+function ledgerClient(req) {
+  const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+
+  shopify.onInventoryAdjusted = (changes, details) =>
+    inventoryLedgerService.recordChanges(req.storeId, req.apiKeyId, changes, details).catch(error => {
+      console.error('❌ Failed to record inventory ledger entries:', error.message);
+    });
+
+  return shopify;
+}
+
+/**
+ * Fetch one record of a REST resource (e.g. fetchRecord(shopify, 'products', 123) -> the product)
+ */
+async function fetchRecord(shopify, resource, id) {
+  const result = await shopify.request('GET', `/${resource}/${id}.json`);
+  return result[resource.replace(/s$/, '')] ?? result[Object.keys(result)[0]];
+}
+
+/**
+ * Run an update between two snapshots of the record, returning Shopify's result and the
+ * fields it changed ([{ path, op, from, to }], without updated_at) for the operation log.
+ * Resources that can't be fetched by id (e.g. shipping, reports) are still updated, with changes null.
+ */
+async function updateWithSnapshot(shopify, resource, id, update) {
+  let before;
+  try {
+    before = await fetchRecord(shopify, resource, id);
+  } catch (error) {
+    console.warn(`⚠️ No snapshot of ${resource} ${id} (${error.message}); the update won't be revertable`);
+    return { result: await update(), changes: null };
+  }
+
+  const result = await update();
+  const after = result[resource.replace(/s$/, '')] ?? result[Object.keys(result)[0]];
+
+  const changes = diff(before, after, { partial: false }).filter(change => !/(^|\.)updated_at$/.test(change.path));
+  return { result, changes };
+}
+
+/**
+ * Log a successful update with its changes, and point the client at the log entry (to revert it later)
+ */
+async function logUpdate(req, res, resource, resourceType, id, updates, changes) {
+  const log = await logOperation(req, 'UPDATE', resourceType, id, 'success', { updates, resource, changes, revertable: changes !== null });
+  if (log) res.set('X-Operation-Id', String(log.id));
+}
+
+// ===== DRY RUNS =====
+
+const READ_ONLY_FIELDS = ['id', 'admin_graphql_api_id', 'created_at', 'updated_at'];
+
+/**
+ * Check a write payload before it would be sent (returns { errors, warnings }).
+ * Errors are writes Shopify would refuse; warnings are fields it would ignore or that look wrong.
+ */
+function validateWritePayload(resource, action, payload, current) {
+  const errors = [];
+  const warnings = [];
+  if (action === 'delete') return { errors, warnings };
+
+  if (!isPlainObject(payload) || Object.keys(payload).length === 0) {
+    errors.push('Request body must be an object with the fields to write');
+    return { errors, warnings };
+  }
+
+  if (action === 'create' && resource === 'products' && !payload.title) {
+    errors.push('title is required to create a product');
+  }
+
+  const kind = value => (Array.isArray(value) ? 'array' : typeof value);
+  const singular = resource.replace(/s$/, '');
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (READ_ONLY_FIELDS.includes(field)) {
+      if (current && !sameValue(current[field], value)) warnings.push(`${field} is read-only and will be ignored`);
+    } else if (action === 'update' && current && !(field in current)) {
+      warnings.push(`${field} is not a field of this ${singular}`);
+    } else if (current && current[field] !== null && current[field] !== undefined && value !== null) {
+      const kinds = [kind(current[field]), kind(value)].sort().join('/');
+      if (kind(current[field]) !== kind(value) && kinds !== 'number/string') {
+        warnings.push(`${field} should be a ${kind(current[field])} (got ${kind(value)})`);
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Answer a dry run with the field-level changes a write would make, and log it as DRY_RUN
+ */
+async function sendDryRun(req, res, { resource, id = null, action, current = null, payload = null, validation = null, changes = null, extra = {} }) {
+  const { errors, warnings } = validation || validateWritePayload(resource, action, payload, current);
+  changes = changes || (action === 'delete' ? diff(current, {}, { partial: false }) : diff(current, payload));
+
+  await logOperation(req, 'DRY_RUN', resource, id, errors.length === 0 ? 'success' : 'error', {
+    method: req.method,
+    action,
+    changes: changes.length,
+    ...(errors.length > 0 && { errors })
+  });
+
+  res.json({
+    success: true,
+    dry_run: true,
+    resource,
+    id,
+    action,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    changes,
+    ...extra
+  });
+}
+
+/**
+ * The inventory level of an item at a location (null if it isn't stocked there)
+ */
+async function getInventoryLevel(shopify, inventoryItemId, locationId) {
+  const result = await shopify.getInventoryLevels({ inventory_item_ids: inventoryItemId, location_ids: locationId });
+  return result.inventory_levels?.[0] || null;
+}
+
+/**
+ * Dry run of setting an inventory level (errors include a stale expected quantity, which would fail with 409)
+ */
+async function dryRunInventoryLevel(req, res, shopify, { inventoryItemId, locationId, available = undefined, delta = undefined, expected = undefined }) {
+  const level = await getInventoryLevel(shopify, inventoryItemId, locationId);
+  const current = level ? level.available : null;
+  const errors = [];
+
+  if (!level) {
+    errors.push(`Inventory item ${inventoryItemId} is not stocked at location ${locationId}`);
+  }
+  if (available !== undefined && !Number.isInteger(Number(available))) {
+    errors.push('available must be an integer');
+  }
+  if (expected !== undefined && level && expected !== current) {
+    errors.push(`expected_available is ${expected} but the available quantity is now ${current}`);
+  }
+
+  const target = delta !== undefined ? (expected ?? current ?? 0) + delta : parseInt(available);
+
+  return sendDryRun(req, res, {
+    resource: 'inventory',
+    id: String(inventoryItemId),
+    action: 'update',
+    current: level ? { available: current } : null,
+    payload: { available: target },
+    validation: { errors, warnings: [] },
+    extra: { location_id: String(locationId) }
+  });
+}
+
+/**
+ * Dry run of several inventory level changes. Rows are { label, inventory_item_id, location_id } with
+ * available or delta, and optionally expected_available (compare-and-set) or allow_negative: false.
+ * A row that already has an error, isn't stocked, or would fail its compare or go below zero is an error.
+ */
+async function dryRunInventoryRows(req, res, shopify, rows, { id = null, extra = {} } = {}) {
+  const levels = await fetchLiveLevels(shopify, rows.filter(row => !row.error).map(row => row.inventory_item_id));
+  const errors = [];
+  const changes = [];
+
+  rows.forEach(row => {
+    const current = levels.get(`${row.inventory_item_id}:${row.location_id}`);
+    const target = row.delta !== undefined ? (row.expected_available ?? current ?? 0) + row.delta : row.available;
+
+    if (row.error) {
+      errors.push(`${row.label}: ${row.error}`);
+    } else if (current === undefined) {
+      errors.push(`${row.label}: inventory item ${row.inventory_item_id} is not stocked at location ${row.location_id}`);
+    } else if (row.expected_available !== undefined && row.expected_available !== current) {
+      errors.push(`${row.label}: expected_available is ${row.expected_available} but the available quantity is now ${current}`);
+    } else if (row.allow_negative === false && target < 0) {
+      errors.push(`${row.label}: only ${current} available at location ${row.location_id}`);
+    } else if (target !== current) {
+      changes.push({ path: `${row.label}.available`, op: 'changed', from: current, to: target });
+    }
+  });
+
+  return sendDryRun(req, res, {
+    resource: 'inventory',
+    id,
+    action: 'update',
+    validation: { errors, warnings: [] },
+    changes,
+    extra
+  });
+}
+
+/**
+ * Dry run of a create, update or delete through the generic resource writers
+ * (the current resource is fetched from Shopify to diff against; inventory is diffed as a level)
+ */
+async function dryRunResourceWrite(req, res, { resource, id = null, action }) {
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const singular = resource.replace(/s$/, '');
+    const body = req.body || {};
+
+    if (resource === 'inventory') {
+      const inventoryItemId = body.inventory_item_id || body.inventory_level?.inventory_item_id || body.id || id;
+      let locationId = body.location_id || body.inventory_level?.location_id;
+
+      if (!inventoryItemId) {
+        return res.status(400).json({ error: 'Missing required field: inventory_item_id' });
+      }
+      if (!locationId) {
+        const locations = await shopify.getLocations();
+        locationId = locations?.locations?.[0]?.id;
+        if (!locationId) return res.status(422).json({ error: 'No locations found in Shopify store' });
+      }
+
+      return await dryRunInventoryLevel(req, res, shopify, {
+        inventoryItemId,
+        locationId,
+        available: body.available !== undefined ? body.available : body.inventory_level?.available
+      });
+    }
+
+    // Same unwrapping as createResource/updateResource
+    const payload = action === 'delete' ? null : (body[singular] !== undefined ? body[singular] : body);
+    const resourceId = id ?? payload?.id;
+
+    if (action !== 'create' && !resourceId) {
+      return res.status(400).json({ error: `Missing ${singular} id` });
+    }
+
+    const current = action === 'create' ? null : await fetchRecord(shopify, resource, resourceId);
+
+    return await sendDryRun(req, res, { resource, id: resourceId ?? null, action, current, payload });
+  } catch (error) {
+    console.error(`❌ Dry run of ${resource} ${action} failed:`, error.message);
+    await logOperation(req, 'DRY_RUN', resource, id, 'error', { error: error.message });
+    res.status(error.response?.status === 404 ? 404 : 500).json({
+      error: `Failed to preview ${resource} ${action}`,
+      message: error.message,
+      shopifyError: error.shopifyMessage
+    });
+  }
 }
 
 // ===== ORDERS =====
@@ -53,20 +458,20 @@ function requireScope(scope) {
 /**
  * GET /api/orders - Get all orders
  */
-router.get('/orders', requireScope('read_orders'), async (req, res) => {
+router.get('/orders', describeRoute('Orders', 'Get all orders'), requireScope('read_orders'), mirrorSource('orders'), async (req, res) => {
   try {
     console.log('=== GET /api/orders ===');
     console.log('Shop:', req.shopDomain);
     console.log('Query:', req.query);
 
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.getOrders(req.query);
+    const { data: result, pagination } = await fetchList(shopify, 'orders', req.query);
 
     console.log('✅ Fetched', result.orders?.length || 0, 'orders');
 
     await logOperation(req, 'READ', 'order', null, 'success', { count: result.orders?.length || 0 });
 
-    res.json(result);
+    res.json({ ...result, ...pagination });
   } catch (error) {
     console.error('❌ Orders fetch failed:', error.message);
     console.error('Shopify error:', error.response?.data);
@@ -84,7 +489,7 @@ router.get('/orders', requireScope('read_orders'), async (req, res) => {
 /**
  * GET /api/orders/:id - Get specific order
  */
-router.get('/orders/:id', requireScope('read_orders'), async (req, res) => {
+router.get('/orders/:id', describeRoute('Orders', 'Get specific order'), requireScope('read_orders'), mirrorSource('orders'), async (req, res) => {
   try {
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
     const result = await shopify.getOrder(req.params.id);
@@ -106,12 +511,16 @@ router.get('/orders/:id', requireScope('read_orders'), async (req, res) => {
 /**
  * PUT /api/orders/:id - Update order
  */
-router.put('/orders/:id', requireScope('write_orders'), async (req, res) => {
+router.put('/orders/:id', describeRoute('Orders', 'Update order'), requireScope('write_orders'), async (req, res) => {
+  if (req.dryRun) return dryRunResourceWrite(req, res, { resource: 'orders', id: req.params.id, action: 'update' });
+
   try {
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.updateOrder(req.params.id, req.body);
+    const { result, changes } = await updateWithSnapshot(shopify, 'orders', req.params.id, () =>
+      shopify.updateOrder(req.params.id, req.body)
+    );
 
-    await logOperation(req, 'UPDATE', 'order', req.params.id, 'success', { updates: req.body });
+    await logUpdate(req, res, 'orders', 'order', req.params.id, req.body, changes);
 
     res.json(result);
   } catch (error) {
@@ -130,17 +539,17 @@ router.put('/orders/:id', requireScope('write_orders'), async (req, res) => {
 /**
  * GET /api/customers - Get all customers
  */
-router.get('/customers', requireScope('read_customers'), async (req, res) => {
+router.get('/customers', describeRoute('Customers', 'Get all customers'), requireScope('read_customers'), mirrorSource('customers'), async (req, res) => {
   try {
     console.log('=== GET /api/customers ===');
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.getCustomers(req.query);
+    const { data: result, pagination } = await fetchList(shopify, 'customers', req.query);
 
     console.log('✅ Fetched', result.customers?.length || 0, 'customers');
 
     await logOperation(req, 'READ', 'customer', null, 'success', { count: result.customers?.length || 0 });
 
-    res.json(result);
+    res.json({ ...result, ...pagination });
   } catch (error) {
     console.error('❌ Customers fetch failed:', error.message);
     await logOperation(req, 'READ', 'customer', null, 'error', { error: error.message });
@@ -151,302 +560,2291 @@ router.get('/customers', requireScope('read_customers'), async (req, res) => {
 /**
  * GET /api/customers/:id - Get specific customer
  */
-router.get('/customers/:id', requireScope('read_customers'), async (req, res) => {
+router.get('/customers/:id', describeRoute('Customers', 'Get specific customer'), requireScope('read_customers'), mirrorSource('customers'), async (req, res) => {
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.getCustomer(req.params.id);
+
+    await logOperation(req, 'READ', 'customer', req.params.id, 'success');
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Customer fetch failed:', error.message);
+    await logOperation(req, 'READ', 'customer', req.params.id, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch customer', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/customers/:id - Update customer
+ */
+router.put('/customers/:id', describeRoute('Customers', 'Update customer'), requireScope('write_customers'), async (req, res) => {
+  if (req.dryRun) return dryRunResourceWrite(req, res, { resource: 'customers', id: req.params.id, action: 'update' });
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const { result, changes } = await updateWithSnapshot(shopify, 'customers', req.params.id, () =>
+      shopify.updateCustomer(req.params.id, req.body)
+    );
+
+    await logUpdate(req, res, 'customers', 'customer', req.params.id, req.body, changes);
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Customer update failed:', error.message);
+    await logOperation(req, 'UPDATE', 'customer', req.params.id, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to update customer', message: error.message });
+  }
+});
+
+// ===== PRODUCTS =====
+
+/**
+ * GET /api/products - Get all products
+ */
+router.get('/products', describeRoute('Products', 'Get all products'), requireScope('read_products'), mirrorSource('products'), async (req, res) => {
+  try {
+    console.log('=== GET /api/products ===');
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const { data: result, pagination } = await fetchList(shopify, 'products', req.query);
+
+    console.log('✅ Fetched', result.products?.length || 0, 'products');
+
+    await logOperation(req, 'READ', 'product', null, 'success', { count: result.products?.length || 0 });
+
+    res.json({ ...result, ...pagination });
+  } catch (error) {
+    console.error('❌ Products fetch failed:', error.message);
+    await logOperation(req, 'READ', 'product', null, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch products', message: error.message });
+  }
+});
+
+/**
+ * GET /api/products/:id - Get specific product
+ */
+router.get('/products/:id', describeRoute('Products', 'Get specific product'), requireScope('read_products'), mirrorSource('products'), async (req, res) => {
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.getProduct(req.params.id);
+
+    await logOperation(req, 'READ', 'product', req.params.id, 'success');
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Product fetch failed:', error.message);
+    await logOperation(req, 'READ', 'product', req.params.id, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch product', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/products/:id - Update product
+ */
+router.put('/products/:id', describeRoute('Products', 'Update product'), requireScope('write_products'), async (req, res) => {
+  if (req.dryRun) return dryRunResourceWrite(req, res, { resource: 'products', id: req.params.id, action: 'update' });
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const { result, changes } = await updateWithSnapshot(shopify, 'products', req.params.id, () =>
+      shopify.updateProduct(req.params.id, req.body)
+    );
+    skuIndexService.invalidate(req.storeId);
+
+    await logUpdate(req, res, 'products', 'product', req.params.id, req.body, changes);
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Product update failed:', error.message);
+    await logOperation(req, 'UPDATE', 'product', req.params.id, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to update product', message: error.message });
+  }
+});
+
+/**
+ * POST /api/products - Create product
+ */
+router.post('/products', describeRoute('Products', 'Create product'), requireScope('write_products'), async (req, res) => {
+  if (req.dryRun) return dryRunResourceWrite(req, res, { resource: 'products', action: 'create' });
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.createProduct(req.body);
+    skuIndexService.invalidate(req.storeId);
+
+    await logOperation(req, 'CREATE', 'product', result.product?.id, 'success', { product: req.body });
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Product create failed:', error.message);
+    await logOperation(req, 'CREATE', 'product', null, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to create product', message: error.message });
+  }
+});
+
+// ===== INVENTORY =====
+
+/**
+ * Error response for a SKU or barcode that doesn't resolve to exactly one inventory item
+ */
+function sendSkuError(res, error) {
+  res.status(error.status).json({
+    error: error.code,
+    message: error.message,
+    ...(error.matches && { matches: error.matches })
+  });
+}
+
+/**
+ * Middleware to turn ?sku= / ?barcode= (comma-separated) into inventory_item_ids
+ */
+function resolveSkuQuery(req, res, next) {
+  const field = req.query.sku ? 'sku' : req.query.barcode ? 'barcode' : null;
+  if (!field) return next();
+
+  const values = String(req.query[field]).split(',').map(value => value.trim()).filter(Boolean);
+
+  skuIndexService.getIndex(req.storeId, req.shopDomain, req.accessToken)
+    .then(index => {
+      const itemIds = values.map(value => skuIndexService.lookup(index, { [field]: value }).inventory_item_id);
+
+      delete req.query.sku;
+      delete req.query.barcode;
+      req.query.inventory_item_ids = [...new Set(itemIds)].join(',');
+      next();
+    })
+    .catch(error => {
+      if (error.status) return sendSkuError(res, error);
+
+      console.error('❌ SKU lookup failed:', error.message);
+      res.status(500).json({ error: 'Failed to resolve SKU', message: error.message, shopifyError: error.shopifyMessage });
+    });
+}
+
+/**
+ * GET /api/inventory - Get inventory levels
+ */
+router.get('/inventory', describeRoute('Inventory', 'Get inventory levels'), requireScope('read_inventory'), resolveSkuQuery, mirrorSource('inventory'), async (req, res) => {
+  try {
+    console.log('=== GET /api/inventory ===');
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const { data: result, pagination } = await fetchList(shopify, 'inventory_levels', req.query);
+
+    console.log('✅ Fetched inventory levels');
+
+    await logOperation(req, 'READ', 'inventory', null, 'success', { count: result.inventory_levels?.length || 0 });
+
+    res.json({ ...result, ...pagination });
+  } catch (error) {
+    console.error('❌ Inventory fetch failed:', error.message);
+    await logOperation(req, 'READ', 'inventory', null, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch inventory', message: error.message });
+  }
+});
+
+// Reason codes accepted by Shopify's inventory mutations
+const INVENTORY_REASONS = [
+  'correction', 'cycle_count_available', 'damaged', 'movement_canceled', 'movement_created',
+  'movement_received', 'movement_updated', 'other', 'promotion', 'quality_control', 'received',
+  'reservation_created', 'reservation_deleted', 'reservation_updated', 'restock', 'safety_stock', 'shrinkage'
+];
+
+/**
+ * Validate the mode, reason and reference document of an inventory write
+ * (returns an error message, or null when valid)
+ */
+function validateInventoryOptions({ mode = 'set', reason = 'correction', reference_document_uri }) {
+  if (!['set', 'adjust'].includes(mode)) {
+    return `Invalid mode '${mode}': use 'set' or 'adjust'`;
+  }
+
+  if (!INVENTORY_REASONS.includes(reason)) {
+    return `Invalid reason '${reason}'. Valid reasons: ${INVENTORY_REASONS.join(', ')}`;
+  }
+
+  // Shopify expects a URI with a scheme, e.g. "logistics://warehouse/count/2025-01-31"
+  if (reference_document_uri !== undefined && !/^[a-z][a-z0-9+.-]*:\S+$/i.test(reference_document_uri)) {
+    return 'Invalid reference_document_uri: must be a URI such as "logistics://warehouse/count/123"';
+  }
+
+  return null;
+}
+
+/**
+ * Parse an optional integer field (undefined when absent, NaN when not an integer)
+ */
+function parseOptionalInt(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return Number.isInteger(Number(value)) ? Number(value) : NaN;
+}
+
+/**
+ * POST /api/inventory/sync - Sync inventory to Shopify
+ */
+router.post('/inventory/sync', describeRoute('Inventory', 'Sync inventory to Shopify'), requireScope('write_inventory'), async (req, res) => {
+  try {
+    let { inventory_item_id, sku, barcode, location_id, available } = req.body;
+    const { mode = 'set', reason = 'correction', reference_document_uri } = req.body;
+    const delta = parseOptionalInt(req.body.delta);
+    const expected = parseOptionalInt(req.body.expected_available);
+    const quantityField = mode === 'adjust' ? 'delta' : 'available';
+
+    if ((!inventory_item_id && !sku && !barcode) || (mode === 'adjust' ? delta === undefined : available === undefined)) {
+      return res.status(400).json({
+        error: `Missing required fields: inventory_item_id (or sku or barcode) and ${quantityField} are required`
+      });
+    }
+
+    const invalid = validateInventoryOptions(req.body) ||
+      (Number.isNaN(delta) && 'Invalid delta: must be an integer') ||
+      (Number.isNaN(expected) && 'Invalid expected_available: must be an integer');
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const shopify = ledgerClient(req);
+
+    // Resolve the inventory item from its variant's SKU or barcode
+    if (!inventory_item_id) {
+      try {
+        const variant = await skuIndexService.resolve(req.storeId, req.shopDomain, req.accessToken, { sku, barcode });
+        inventory_item_id = variant.inventory_item_id;
+      } catch (error) {
+        if (!error.status) throw error;
+        await logOperation(req, 'UPDATE', 'inventory', null, 'error', { sku, barcode, error: error.message });
+        return sendSkuError(res, error);
+      }
+    }
+
+    // Auto-fetch primary location if not provided
+    if (!location_id) {
+      const locations = await shopify.getLocations();
+      if (locations && locations.locations && locations.locations.length > 0) {
+        location_id = locations.locations[0].id;
+        console.log('  Auto-selected primary location for sync:', location_id);
+      } else {
+        return res.status(422).json({ error: 'No locations found in Shopify store' });
+      }
+    }
+
+    if (req.dryRun) {
+      return await dryRunInventoryLevel(req, res, shopify, {
+        inventoryItemId: inventory_item_id,
+        locationId: location_id,
+        ...(mode === 'adjust' ? { delta } : { available }),
+        expected
+      });
+    }
+
+    const options = { reason, referenceDocumentUri: reference_document_uri };
+    let result;
+
+    if (expected !== undefined) {
+      // Compare-and-set: an adjustment becomes a set of expected + delta
+      const target = mode === 'adjust' ? expected + delta : available;
+      result = await shopify.updateInventoryLevel(inventory_item_id, location_id, target, { ...options, compareQuantity: expected });
+    } else if (mode === 'adjust') {
+      result = await shopify.adjustInventoryLevel(inventory_item_id, location_id, delta, options);
+    } else {
+      result = await shopify.updateInventoryLevel(inventory_item_id, location_id, available, options);
+    }
+
+    console.log('\u2705 Inventory synced:', inventory_item_id);
+
+    await logOperation(req, 'UPDATE', 'inventory', inventory_item_id, 'success', {
+      ...(sku && { sku }),
+      ...(barcode && { barcode }),
+      location_id,
+      mode,
+      [quantityField]: mode === 'adjust' ? delta : available,
+      ...(expected !== undefined && { expected_available: expected }),
+      reason,
+      ...(reference_document_uri && { reference_document_uri })
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('\u274c Inventory sync failed:', error.message);
+    await logOperation(req, 'UPDATE', 'inventory', req.body.inventory_item_id, 'error', {
+      error: error.message
+    });
+
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.code, message: error.message, shopifyError: error.shopifyMessage });
+    }
+    res.status(500).json({ error: 'Failed to sync inventory', message: error.message, shopifyError: error.shopifyMessage });
+  }
+});
+
+/**
+ * Mutations for groups of batch rows, with the input list their userErrors point into
+ * (compare-and-set rows need inventorySetQuantities whatever the batch mode)
+ */
+const BATCH_MUTATIONS = {
+  set: {
+    listField: 'setQuantities',
+    send: (shopify, rows, reason, uri) => shopify.setOnHandQuantities(rows.map(row => ({
+      ...toInventoryInput(row),
+      quantity: row.available
+    })), reason, uri)
+  },
+  adjust: {
+    listField: 'changes',
+    send: (shopify, rows, reason, uri) => shopify.adjustQuantities(rows.map(row => ({
+      ...toInventoryInput(row),
+      delta: row.delta
+    })), reason, uri)
+  },
+  compare: {
+    listField: 'quantities',
+    send: (shopify, rows, reason, uri) => shopify.setQuantities(rows.map(row => ({
+      ...toInventoryInput(row),
+      quantity: row.delta !== undefined ? row.expected_available + row.delta : row.available,
+      compareQuantity: row.expected_available
+    })), reason, uri)
+  }
+};
+
+function toInventoryInput(row) {
+  return {
+    inventoryItemId: toGid('InventoryItem', row.inventory_item_id),
+    locationId: toGid('Location', row.location_id)
+  };
+}
+
+/**
+ * Send one chunk of batch rows as a single inventory mutation.
+ * Shopify applies a call all-or-nothing, so rows named by a userError
+ * (field ["input", "<listField>", "<index>", ...]) are failed and the rest resent.
+ * Any other error fails the whole chunk.
+ */
+async function syncInventoryChunk(shopify, mutation, rows, reason, uri) {
+  let pending = rows;
+
+  while (pending.length > 0) {
+    let payload;
+    try {
+      payload = await mutation.send(shopify, pending, reason, uri);
+    } catch (error) {
+      pending.forEach(row => { row.error = error.shopifyMessage || error.message; });
+      return;
+    }
+
+    const userErrors = payload.userErrors || [];
+    if (userErrors.length === 0) {
+      pending.forEach(row => { row.success = true; });
+      return;
+    }
+
+    const rowErrors = new Map();
+    for (const userError of userErrors) {
+      const field = userError.field || [];
+      const index = field[1] === mutation.listField ? parseInt(field[2]) : NaN;
+
+      if (!pending[index]) {
+        pending.forEach(row => { row.error = userError.message; });
+        return;
+      }
+      rowErrors.set(index, [...(rowErrors.get(index) || []), userError]);
+    }
+
+    pending.forEach((row, index) => {
+      if (!rowErrors.has(index)) return;
+      row.error = rowErrors.get(index).map(userError => userError.message).join('; ');
+      row.error_code = rowErrors.get(index)[0].code;
+    });
+    pending = pending.filter((row, index) => !rowErrors.has(index));
+  }
+}
+
+/**
+ * POST /api/inventory/sync/batch - Sync many inventory levels to Shopify
+ */
+router.post('/inventory/sync/batch', describeRoute('Inventory', 'Sync many inventory levels to Shopify'), requireScope('write_inventory'), async (req, res) => {
+  try {
+    const { items, mode = 'set', reason = 'correction', reference_document_uri } = req.body;
+    const { maxRows, chunkSize } = config.inventoryBatch;
+    const quantityField = mode === 'adjust' ? 'delta' : 'available';
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required field: items must be a non-empty array of { inventory_item_id, location_id, available }'
+      });
+    }
+
+    if (items.length > maxRows) {
+      return res.status(400).json({
+        error: 'Too many items',
+        message: `A batch can contain at most ${maxRows} items; split it into several requests.`
+      });
+    }
+
+    const invalid = validateInventoryOptions(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const shopify = ledgerClient(req);
+
+    const rows = items.map((item, index) => ({
+      index,
+      inventory_item_id: item?.inventory_item_id,
+      ...(item?.sku !== undefined && { sku: item.sku }),
+      ...(item?.barcode !== undefined && { barcode: item.barcode }),
+      location_id: item?.location_id,
+      [quantityField]: parseOptionalInt(item?.[quantityField]),
+      ...(item?.expected_available !== undefined && { expected_available: parseOptionalInt(item.expected_available) }),
+      success: false,
+      error: null
+    }));
+
+    rows.forEach(row => {
+      if (!row.inventory_item_id && !row.sku && !row.barcode) {
+        row.error = 'Missing required field: inventory_item_id (or sku or barcode)';
+      } else if (row[quantityField] === undefined || Number.isNaN(row[quantityField])) {
+        row.error = `Missing required field: ${quantityField} must be an integer`;
+      } else if (Number.isNaN(row.expected_available)) {
+        row.error = 'Invalid expected_available: must be an integer';
+      }
+    });
+
+    // Resolve SKUs and barcodes against one index for the whole batch
+    const unresolved = rows.filter(row => !row.error && !row.inventory_item_id);
+    if (unresolved.length > 0) {
+      const index = await skuIndexService.getIndex(req.storeId, req.shopDomain, req.accessToken);
+
+      unresolved.forEach(row => {
+        try {
+          row.inventory_item_id = skuIndexService.lookup(index, row).inventory_item_id;
+        } catch (error) {
+          row.error = error.message;
+          row.error_code = error.code;
+          if (error.matches) row.matches = error.matches;
+        }
+      });
+    }
+
+    // Auto-fetch primary location once for rows that don't name one
+    if (rows.some(row => !row.error && !row.location_id)) {
+      const locations = await shopify.getLocations();
+      if (!locations?.locations?.length) {
+        return res.status(422).json({ error: 'No locations found in Shopify store' });
+      }
+
+      const primaryLocationId = locations.locations[0].id;
+      rows.forEach(row => { if (!row.location_id) row.location_id = primaryLocationId; });
+      console.log('  Auto-selected primary location for batch sync:', primaryLocationId);
+    }
+
+    if (req.dryRun) {
+      rows.forEach(row => { row.label = `items[${row.index}]`; });
+      return await dryRunInventoryRows(req, res, shopify, rows, { extra: { mode } });
+    }
+
+    const valid = rows.filter(row => !row.error);
+    const groups = {
+      [mode]: valid.filter(row => row.expected_available === undefined),
+      compare: valid.filter(row => row.expected_available !== undefined)
+    };
+
+    for (const [type, groupRows] of Object.entries(groups)) {
+      for (let start = 0; start < groupRows.length; start += chunkSize) {
+        const chunk = groupRows.slice(start, start + chunkSize);
+        await syncInventoryChunk(shopify, BATCH_MUTATIONS[type], chunk, reason, reference_document_uri);
+      }
+    }
+
+    const succeeded = rows.filter(row => row.success).length;
+    const failed = rows.length - succeeded;
+
+    console.log(`\u2705 Inventory batch synced: ${succeeded}/${rows.length} rows`);
+
+    await logOperation(req, 'BATCH_UPDATE', 'inventory', null, failed === 0 ? 'success' : 'error', {
+      mode,
+      reason,
+      ...(reference_document_uri && { reference_document_uri }),
+      total: rows.length,
+      succeeded,
+      failed
+    });
+
+    res.status(failed === 0 ? 200 : 207).json({
+      results: rows,
+      total: rows.length,
+      succeeded,
+      failed
+    });
+  } catch (error) {
+    console.error('\u274c Inventory batch sync failed:', error.message);
+    await logOperation(req, 'BATCH_UPDATE', 'inventory', null, 'error', {
+      error: error.message
+    });
+    res.status(500).json({ error: 'Failed to sync inventory batch', message: error.message, shopifyError: error.shopifyMessage });
+  }
+});
+
+/**
+ * POST /api/inventory/transfers - Move stock of an item between two locations
+ */
+router.post('/inventory/transfers', describeRoute('Inventory', 'Move stock of an item between two locations'), requireScope('write_inventory'), async (req, res) => {
+  let { inventory_item_id } = req.body;
+  const { sku, barcode, from_location_id, to_location_id, reference_id, reason = 'movement_created', reference_document_uri } = req.body;
+  const quantity = parseOptionalInt(req.body.quantity);
+
+  if ((!inventory_item_id && !sku && !barcode) || !from_location_id || !to_location_id || quantity === undefined) {
+    return res.status(400).json({
+      error: 'Missing required fields: inventory_item_id (or sku or barcode), from_location_id, to_location_id and quantity are required'
+    });
+  }
+
+  const invalid = validateInventoryOptions({ reason, reference_document_uri }) ||
+    (!(quantity > 0) && 'Invalid quantity: must be a positive integer') ||
+    (String(from_location_id) === String(to_location_id) && 'from_location_id and to_location_id must differ') ||
+    (reference_id !== undefined && (typeof reference_id !== 'string' || !reference_id || reference_id.length > 255) &&
+      'Invalid reference_id: must be a string of up to 255 characters');
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  let transfer = null;
+
+  try {
+    const shopify = ledgerClient(req);
+
+    // Resolve the inventory item from its variant's SKU or barcode
+    if (!inventory_item_id) {
+      try {
+        inventory_item_id = (await skuIndexService.resolve(req.storeId, req.shopDomain, req.accessToken, { sku, barcode })).inventory_item_id;
+      } catch (error) {
+        if (!error.status) throw error;
+        return sendSkuError(res, error);
+      }
+    }
+
+    if (req.dryRun) {
+      const duplicate = reference_id && await inventoryTransferService.getTransfer(req.storeId, reference_id);
+      const allowNegative = req.body.allow_negative === true;
+
+      return await dryRunInventoryRows(req, res, shopify, [
+        { label: 'from', inventory_item_id, location_id: from_location_id, delta: -quantity, allow_negative: allowNegative },
+        { label: 'to', inventory_item_id, location_id: to_location_id, delta: quantity },
+        ...(duplicate ? [{ label: 'reference_id', error: `a transfer with reference_id '${reference_id}' already exists` }] : [])
+      ], { id: String(inventory_item_id) });
+    }
+
+    // Refuse to take the source below zero unless asked to
+    if (req.body.allow_negative !== true) {
+      const levels = await shopify.getInventoryLevels({ inventory_item_ids: inventory_item_id, location_ids: from_location_id });
+      const available = levels.inventory_levels?.[0]?.available ?? 0;
+
+      if (available < quantity) {
+        return res.status(422).json({
+          error: 'Insufficient stock',
+          message: `Only ${available} available at location ${from_location_id}; pass allow_negative: true to transfer anyway.`,
+          available
+        });
+      }
+    }
+
+    const referenceId = reference_id || uuidv4();
+    const documentUri = reference_document_uri || `gid://shopify-data-sync/InventoryTransfer/${encodeURIComponent(referenceId)}`;
+
+    transfer = await inventoryTransferService.createTransfer(req.storeId, req.apiKeyId, {
+      referenceId,
+      inventoryItemId: inventory_item_id,
+      fromLocationId: from_location_id,
+      toLocationId: to_location_id,
+      quantity,
+      reason,
+      referenceDocumentUri: documentUri
+    });
+
+    // A reused reference returns the original transfer instead of moving stock twice
+    if (!transfer) {
+      return res.status(409).json({
+        error: 'Duplicate reference_id',
+        message: `A transfer with reference_id '${referenceId}' already exists`,
+        transfer: await inventoryTransferService.getTransfer(req.storeId, referenceId)
+      });
+    }
+
+    const result = await shopify.transferInventory(inventory_item_id, from_location_id, to_location_id, quantity, {
+      reason,
+      referenceDocumentUri: documentUri
+    });
+
+    transfer = await inventoryTransferService.completeTransfer(transfer.id, {
+      fromAvailable: result.from.available,
+      toAvailable: result.to.available
+    });
+
+    console.log(`✅ Inventory transferred: ${quantity} of ${inventory_item_id} from ${from_location_id} to ${to_location_id}`);
+
+    await logOperation(req, 'TRANSFER', 'inventory', inventory_item_id, 'success', {
+      reference_id: referenceId,
+      from_location_id,
+      to_location_id,
+      quantity
+    });
+
+    res.status(201).json({ success: true, transfer });
+  } catch (error) {
+    console.error('❌ Inventory transfer failed:', error.message);
+
+    if (transfer) {
+      await inventoryTransferService.failTransfer(transfer.id, error.shopifyMessage || error.message).catch(() => {});
+    }
+
+    await logOperation(req, 'TRANSFER', 'inventory', inventory_item_id, 'error', {
+      reference_id: transfer?.reference_id,
+      error: error.message
+    });
+
+    // Shopify's user errors mean the transfer was rejected as a whole
+    res.status(error.userErrors ? 422 : 500).json({
+      error: 'Failed to transfer inventory',
+      message: error.message,
+      shopifyError: error.shopifyMessage,
+      reference_id: transfer?.reference_id
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/transfers - List inventory transfers
+ */
+router.get('/inventory/transfers', describeRoute('Inventory', 'List inventory transfers'), requireScope('read_inventory'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 250);
+    const offset = parseInt(req.query.offset) || 0;
+    const inventoryItemId = /^\d+$/.test(req.query.inventory_item_id || '') ? req.query.inventory_item_id : null;
+
+    const transfers = await inventoryTransferService.getTransfersByStore(req.storeId, { inventoryItemId, limit, offset });
+    res.json({ success: true, total: transfers.length, transfers });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch transfers', message: error.message });
+  }
+});
+
+/**
+ * GET /api/inventory/transfers/:referenceId - Get a transfer by its reference ID
+ */
+router.get('/inventory/transfers/:referenceId', describeRoute('Inventory', 'Get a transfer by its reference ID'), requireScope('read_inventory'), async (req, res) => {
+  try {
+    const transfer = await inventoryTransferService.getTransfer(req.storeId, req.params.referenceId);
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    res.json({ success: true, transfer });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch transfer', message: error.message });
+  }
+});
+
+/**
+ * Fetch live available quantities for inventory items, keyed "<inventory_item_id>:<location_id>"
+ * (Shopify accepts up to 50 inventory_item_ids per request)
+ */
+async function fetchLiveLevels(shopify, inventoryItemIds) {
+  const ids = [...new Set(inventoryItemIds.map(String))];
+  const levels = new Map();
+
+  for (let start = 0; start < ids.length; start += 50) {
+    const { data } = await shopify.getAll('inventory_levels', {
+      inventory_item_ids: ids.slice(start, start + 50).join(','),
+      limit: 250
+    });
+
+    data.forEach(level => levels.set(`${level.inventory_item_id}:${level.location_id}`, level.available));
+  }
+
+  return levels;
+}
+
+/**
+ * Count reconciliation rows by status
+ */
+function summarizeReconciliation(items) {
+  const summary = { total: items.length, match: 0, mismatch: 0, not_stocked: 0, invalid: 0 };
+  items.forEach(item => { summary[item.status]++; });
+  return summary;
+}
+
+/**
+ * POST /api/inventory/reconciliations - Diff a stock file (CSV or JSON) against live Shopify levels
+ * (a dry run: nothing changes until the report is applied)
+ */
+router.post('/inventory/reconciliations', describeRoute('Inventory', 'Diff a stock file (CSV or JSON) against live Shopify levels'), requireScope('read_inventory'), async (req, res) => {
+  const items = typeof req.body === 'string' ? parseCsv(req.body) : req.body.items;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      error: 'Missing stock file',
+      message: 'Send a text/csv body with a header row, or JSON { items: [...] }, with columns sku (or barcode or inventory_item_id), location_id and expected'
+    });
+  }
+
+  if (items.length > config.inventoryBatch.maxRows) {
+    return res.status(400).json({
+      error: 'Too many items',
+      message: `A stock file can contain at most ${config.inventoryBatch.maxRows} rows; split it into several reports.`
+    });
+  }
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+
+    const rows = items.map((item, index) => ({
+      index,
+      ...(item?.sku && { sku: item.sku }),
+      ...(item?.barcode && { barcode: item.barcode }),
+      inventory_item_id: item?.inventory_item_id || null,
+      location_id: item?.location_id || null,
+      expected: parseOptionalInt(item?.expected ?? item?.quantity),
+      actual: null,
+      difference: null,
+      status: 'invalid',
+      error: null
+    }));
+
+    rows.forEach(row => {
+      if (!row.inventory_item_id && !row.sku && !row.barcode) {
+        row.error = 'Missing inventory_item_id (or sku or barcode)';
+      } else if (row.expected === undefined || Number.isNaN(row.expected)) {
+        row.error = 'expected must be an integer';
+      }
+    });
+
+    // Resolve SKUs and barcodes against one index for the whole file
+    const unresolved = rows.filter(row => !row.error && !row.inventory_item_id);
+    if (unresolved.length > 0) {
+      const index = await skuIndexService.getIndex(req.storeId, req.shopDomain, req.accessToken);
+
+      unresolved.forEach(row => {
+        try {
+          row.inventory_item_id = skuIndexService.lookup(index, row).inventory_item_id;
+        } catch (error) {
+          row.error = error.message;
+          row.error_code = error.code;
+        }
+      });
+    }
+
+    // Rows without a location are compared at the primary location
+    if (rows.some(row => !row.error && !row.location_id)) {
+      const locations = await shopify.getLocations();
+      if (!locations?.locations?.length) {
+        return res.status(422).json({ error: 'No locations found in Shopify store' });
+      }
+      rows.forEach(row => { if (!row.location_id) row.location_id = locations.locations[0].id; });
+    }
+
+    const valid = rows.filter(row => !row.error);
+    const levels = await fetchLiveLevels(shopify, valid.map(row => row.inventory_item_id));
+
+    valid.forEach(row => {
+      const key = `${row.inventory_item_id}:${row.location_id}`;
+
+      if (!levels.has(key)) {
+        row.status = 'not_stocked';
+        row.error = 'Item is not stocked at this location';
+        return;
+      }
+
+      row.actual = levels.get(key) ?? 0;
+      row.difference = row.expected - row.actual;
+      row.status = row.difference === 0 ? 'match' : 'mismatch';
+    });
+
+    const summary = summarizeReconciliation(rows);
+    const report = await reconciliationService.createReport(req.storeId, req.apiKeyId, rows, summary);
+
+    console.log(`✅ Inventory reconciliation ${report.id}: ${summary.mismatch} of ${summary.total} rows differ`);
+
+    await logOperation(req, 'RECONCILE', 'inventory', report.id, 'success', summary);
+
+    res.status(201).json({ success: true, reconciliation: report });
+  } catch (error) {
+    console.error('❌ Inventory reconciliation failed:', error.message);
+    await logOperation(req, 'RECONCILE', 'inventory', null, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to reconcile inventory', message: error.message, shopifyError: error.shopifyMessage });
+  }
+});
+
+/**
+ * GET /api/inventory/reconciliations - List reconciliation reports
+ */
+router.get('/inventory/reconciliations', describeRoute('Inventory', 'List reconciliation reports'), requireScope('read_inventory'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 250);
+    const offset = parseInt(req.query.offset) || 0;
+    const reconciliations = await reconciliationService.getReportsByStore(req.storeId, limit, offset);
+
+    res.json({ success: true, total: reconciliations.length, reconciliations });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch reconciliations', message: error.message });
+  }
+});
+
+/**
+ * GET /api/inventory/reconciliations/:id - Get a reconciliation report
+ */
+router.get('/inventory/reconciliations/:id', describeRoute('Inventory', 'Get a reconciliation report'), requireScope('read_inventory'), async (req, res) => {
+  try {
+    const reconciliation = await reconciliationService.getReport(parseInt(req.params.id), req.storeId);
+
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    res.json({ success: true, reconciliation });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch reconciliation', message: error.message });
+  }
+});
+
+/**
+ * Copy the outcome of each correction sent so far onto its report item
+ */
+function recordApplyOutcomes(report, corrections) {
+  const sent = corrections.filter(correction => correction.success || correction.error);
+
+  sent.forEach(correction => {
+    correction.item.applied = correction.success;
+    if (!correction.success) {
+      correction.item.apply_error = correction.error;
+      correction.item.apply_error_code = correction.error_code;
+    }
+  });
+
+  const applied = sent.filter(correction => correction.success).length;
+  return { applied, summary: { ...report.summary, applied, failed: corrections.length - applied } };
+}
+
+/**
+ * POST /api/inventory/reconciliations/:id/apply - Correct Shopify to the expected quantities of a report.
+ * Each correction is a compare-and-set against the quantity seen in the report, so a level
+ * that changed since then is left alone and reported as stale.
+ */
+router.post('/inventory/reconciliations/:id/apply', describeRoute('Inventory', 'Correct Shopify to the expected quantities of a report'), requireScope('write_inventory'), async (req, res) => {
+  const reportId = parseInt(req.params.id);
+  const { reason = 'cycle_count_available', reference_document_uri } = req.body;
+
+  const invalid = validateInventoryOptions({ reason, reference_document_uri });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  if (req.dryRun) {
+    try {
+      const existing = await reconciliationService.getReport(reportId, req.storeId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Reconciliation not found' });
+      }
+
+      const rows = existing.items
+        .map((item, index) => ({
+          label: `items[${index}]`,
+          inventory_item_id: item.inventory_item_id,
+          location_id: item.location_id,
+          available: item.expected,
+          expected_available: item.actual,
+          status: item.status
+        }))
+        .filter(row => row.status === 'mismatch');
+
+      if (existing.status !== 'pending') {
+        rows.push({ label: 'status', error: `the reconciliation is already ${existing.status}` });
+      }
+
+      return await dryRunInventoryRows(req, res, ledgerClient(req), rows, { id: String(existing.id) });
+    } catch (error) {
+      console.error('❌ Dry run of inventory reconciliation failed:', error.message);
+      await logOperation(req, 'DRY_RUN', 'inventory', reportId, 'error', { error: error.message });
+      return res.status(500).json({ error: 'Failed to preview reconciliation', message: error.message });
+    }
+  }
+
+  let report = null;
+  let corrections = [];
+
+  try {
+    report = await reconciliationService.beginApply(reportId, req.storeId);
+
+    if (!report) {
+      const existing = await reconciliationService.getReport(reportId, req.storeId);
+      return existing
+        ? res.status(409).json({ error: 'Reconciliation already applied', status: existing.status })
+        : res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const shopify = ledgerClient(req);
+    const documentUri = reference_document_uri || `gid://shopify-data-sync/InventoryReconciliation/${report.id}`;
+
+    corrections = report.items.filter(item => item.status === 'mismatch').map(item => ({
+      item,
+      inventory_item_id: item.inventory_item_id,
+      location_id: item.location_id,
+      available: item.expected,
+      expected_available: item.actual,
+      success: false,
+      error: null
+    }));
+
+    for (let start = 0; start < corrections.length; start += config.inventoryBatch.chunkSize) {
+      const chunk = corrections.slice(start, start + config.inventoryBatch.chunkSize);
+      await syncInventoryChunk(shopify, BATCH_MUTATIONS.compare, chunk, reason, documentUri);
+    }
+
+    const { applied, summary } = recordApplyOutcomes(report, corrections);
+    const status = applied === corrections.length ? 'applied' : applied > 0 ? 'partially_applied' : 'failed';
+
+    report = await reconciliationService.finishApply(report.id, status, report.items, summary);
+
+    console.log(`✅ Inventory reconciliation ${report.id} applied: ${applied}/${corrections.length} corrections`);
+
+    await logOperation(req, 'RECONCILE_APPLY', 'inventory', report.id, summary.failed === 0 ? 'success' : 'error', summary);
+
+    res.status(summary.failed === 0 ? 200 : 207).json({ success: true, reconciliation: report });
+  } catch (error) {
+    console.error('❌ Applying inventory reconciliation failed:', error.message);
+
+    // Keep what earlier chunks already corrected
+    if (report) {
+      const { applied, summary } = recordApplyOutcomes(report, corrections);
+      await reconciliationService
+        .finishApply(report.id, applied > 0 ? 'partially_applied' : 'failed', report.items, summary)
+        .catch(() => {});
+    }
+
+    await logOperation(req, 'RECONCILE_APPLY', 'inventory', reportId, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to apply reconciliation', message: error.message });
+  }
+});
+
+// ===== LOCATIONS =====
+
+/**
+ * GET /api/locations - Get all locations
+ */
+router.get('/locations', describeRoute('Locations', 'Get all locations'), requireScope('read_locations'), async (req, res) => {
+  try {
+    console.log('=== GET /api/locations ===');
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.getLocations();
+
+    console.log('✅ Fetched', result.locations?.length || 0, 'locations');
+
+    await logOperation(req, 'READ', 'location', null, 'success', { count: result.locations?.length || 0 });
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Locations fetch failed:', error.message);
+    await logOperation(req, 'READ', 'location', null, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch locations', message: error.message });
+  }
+});
+
+// ===== FULFILLMENTS =====
+
+/**
+ * GET /api/orders/:orderId/fulfillments - Get fulfillments for an order
+ */
+router.get('/orders/:orderId/fulfillments', describeRoute('Fulfillments', 'Get fulfillments for an order'), requireScope('read_fulfillments'), async (req, res) => {
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.getFulfillments(req.params.orderId);
+
+    await logOperation(req, 'READ', 'fulfillment', null, 'success', { order_id: req.params.orderId });
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Fulfillments fetch failed:', error.message);
+    await logOperation(req, 'READ', 'fulfillment', null, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch fulfillments', message: error.message });
+  }
+});
+
+/**
+ * Tracking info from a request body, as Shopify's FulfillmentTrackingInput
+ * (tracking_info: { company, number(s), url(s) }, or the REST-style tracking_* fields)
+ */
+function toTrackingInfo(body) {
+  const tracking = body.tracking_info || {};
+  const company = tracking.company ?? body.tracking_company;
+  const numbers = [].concat(tracking.numbers ?? tracking.number ?? body.tracking_numbers ?? body.tracking_number ?? []).map(String);
+  const urls = [].concat(tracking.urls ?? tracking.url ?? body.tracking_urls ?? body.tracking_url ?? []);
+
+  if (!company && numbers.length === 0 && urls.length === 0) return null;
+
+  return {
+    ...(company && { company }),
+    ...(numbers.length > 0 && { numbers }),
+    ...(urls.length > 0 && { urls })
+  };
+}
+
+/**
+ * Dry run of creating fulfillments: the fulfillments that would be created, one per location
+ * (line items that can't be fulfilled are errors)
+ */
+async function dryRunFulfillment(req, res) {
+  const { line_items, location_id } = req.body;
+  const numericId = gid => gid.split('/').pop();
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const trackingInfo = toTrackingInfo(req.body);
+    let plan = [];
+    const errors = [];
+
+    try {
+      plan = await shopify.planOrderFulfillment(req.params.orderId, { lineItems: line_items, locationId: location_id });
+    } catch (error) {
+      if (error.status !== 422) throw error;
+      errors.push(error.message);
+    }
+
+    const fulfillments = plan.map(({ locationId, lineItemsByFulfillmentOrder }) => ({
+      location_id: locationId,
+      line_items: lineItemsByFulfillmentOrder.flatMap(({ fulfillmentOrderId, fulfillmentOrderLineItems }) =>
+        fulfillmentOrderLineItems.map(lineItem => ({
+          fulfillment_order_id: numericId(fulfillmentOrderId),
+          fulfillment_order_line_item_id: numericId(lineItem.id),
+          quantity: lineItem.quantity
+        }))),
+      ...(trackingInfo && { tracking_info: trackingInfo })
+    }));
+
+    return await sendDryRun(req, res, {
+      resource: 'fulfillments',
+      id: req.params.orderId,
+      action: 'create',
+      validation: { errors, warnings: [] },
+      changes: fulfillments.map((fulfillment, index) => ({ path: `fulfillments[${index}]`, op: 'added', to: fulfillment }))
+    });
+  } catch (error) {
+    console.error('❌ Dry run of fulfillment create failed:', error.message);
+    await logOperation(req, 'DRY_RUN', 'fulfillments', req.params.orderId, 'error', { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.code || 'Failed to preview fulfillment',
+      message: error.message,
+      shopifyError: error.shopifyMessage
+    });
+  }
+}
+
+/**
+ * POST /api/orders/:orderId/fulfillments - Create fulfillment
+ * Goes through the order's fulfillment orders; line_items ([{ id, quantity }] with order line item IDs)
+ * fulfills part of the order, and omitting it fulfills everything that is left.
+ */
+router.post('/orders/:orderId/fulfillments', describeRoute('Fulfillments', 'Create fulfillment'), requireScope('write_fulfillments'), async (req, res) => {
+  const { line_items, location_id, notify_customer = false, message } = req.body;
+
+  if (line_items !== undefined && (!Array.isArray(line_items) || line_items.length === 0 ||
+      line_items.some(item => !item?.id || (item.quantity !== undefined && !(parseInt(item.quantity) > 0))))) {
+    return res.status(400).json({
+      error: 'line_items must be a non-empty array of { id, quantity } with order line item IDs and positive quantities'
+    });
+  }
+
+  if (req.dryRun) return dryRunFulfillment(req, res);
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const fulfillments = await shopify.fulfillOrder(req.params.orderId, {
+      lineItems: line_items,
+      locationId: location_id,
+      trackingInfo: toTrackingInfo(req.body),
+      notifyCustomer: Boolean(notify_customer),
+      message
+    });
+
+    console.log(`✅ ${fulfillments.length} fulfillment(s) created for order:`, req.params.orderId);
+
+    await logOperation(req, 'CREATE', 'fulfillment', fulfillments[0].id, 'success', {
+      order_id: req.params.orderId,
+      fulfillment_ids: fulfillments.map(fulfillment => fulfillment.id)
+    });
+
+    res.json({ fulfillment: fulfillments[0], fulfillments });
+  } catch (error) {
+    console.error('❌ Fulfillment create failed:', error.message);
+    await logOperation(req, 'CREATE', 'fulfillment', null, 'error', { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.code || 'Failed to create fulfillment',
+      message: error.message,
+      shopifyError: error.shopifyMessage,
+      ...(error.fulfillments?.length && { fulfillments: error.fulfillments })
+    });
+  }
+});
+
+/**
+ * PUT /api/fulfillments/:fulfillmentId/tracking - Update a fulfillment's tracking info
+ * (notify_customer defaults to true, so the customer gets the new tracking details)
+ */
+router.put('/fulfillments/:fulfillmentId/tracking', describeRoute('Fulfillments', 'Update a fulfillment\'s tracking info'), requireScope('write_fulfillments'), async (req, res) => {
+  const trackingInfo = toTrackingInfo(req.body);
+
+  if (!trackingInfo) {
+    return res.status(400).json({
+      error: 'Missing tracking info: send tracking_info { company, numbers, urls } or tracking_company, tracking_numbers and tracking_urls'
+    });
+  }
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+
+    if (req.dryRun) {
+      const current = await shopify.getFulfillment(req.params.fulfillmentId);
+      if (!current) {
+        return res.status(404).json({ error: 'Fulfillment not found' });
+      }
+
+      // The tracking info is replaced as a whole
+      return await sendDryRun(req, res, {
+        resource: 'fulfillments',
+        id: req.params.fulfillmentId,
+        action: 'update',
+        current,
+        payload: {
+          tracking_company: trackingInfo.company || null,
+          tracking_numbers: trackingInfo.numbers || [],
+          tracking_urls: trackingInfo.urls || []
+        }
+      });
+    }
+
+    const fulfillment = await shopify.updateFulfillmentTracking(
+      req.params.fulfillmentId,
+      trackingInfo,
+      req.body.notify_customer === undefined ? true : Boolean(req.body.notify_customer)
+    );
+
+    console.log('✅ Fulfillment tracking updated:', req.params.fulfillmentId);
+
+    await logOperation(req, 'UPDATE', 'fulfillment', req.params.fulfillmentId, 'success', {
+      tracking_numbers: fulfillment.tracking_numbers
+    });
+
+    res.json({ fulfillment });
+  } catch (error) {
+    console.error('❌ Fulfillment tracking update failed:', error.message);
+    await logOperation(req, 'UPDATE', 'fulfillment', req.params.fulfillmentId, 'error', { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.code || 'Failed to update fulfillment tracking',
+      message: error.message,
+      shopifyError: error.shopifyMessage
+    });
+  }
+});
+
+// ===== FULFILLMENT ORDERS =====
+
+const HOLD_REASONS = [
+  'awaiting_payment', 'awaiting_return_items', 'high_risk_of_fraud', 'incorrect_address',
+  'inventory_out_of_stock', 'unknown_delivery_date', 'other'
+];
+
+/**
+ * Validate optional fulfillment order line_items (returns an error message, or null when valid)
+ */
+function validateFulfillmentOrderLineItems(lineItems) {
+  if (lineItems === undefined) return null;
+
+  if (!Array.isArray(lineItems) || lineItems.length === 0 ||
+      lineItems.some(item => !item?.id || !(parseInt(item.quantity) > 0))) {
+    return 'line_items must be a non-empty array of { id, quantity } with fulfillment order line item IDs and positive quantities';
+  }
+  return null;
+}
+
+/**
+ * Dry run of a fulfillment order action: the fields it would change (from update(current)),
+ * and an error if the fulfillment order's supported_actions don't currently include it
+ */
+async function dryRunFulfillmentOrderAction(req, res, { action, supportedAction, update, warnings = [] }) {
+  const id = req.params.fulfillmentOrderId;
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const { fulfillment_order: current } = await shopify.getFulfillmentOrder(id);
+    const errors = (current.supported_actions || []).includes(supportedAction)
+      ? []
+      : [`Fulfillment order ${id} can't be changed with ${action} while it is ${current.status}`];
+
+    return await sendDryRun(req, res, {
+      resource: 'fulfillment_orders',
+      id,
+      action,
+      current,
+      payload: update(current),
+      validation: { errors, warnings }
+    });
+  } catch (error) {
+    console.error(`❌ Dry run of fulfillment order ${action} failed:`, error.message);
+    await logOperation(req, 'DRY_RUN', 'fulfillment_orders', id, 'error', { error: error.message });
+    res.status(error.response?.status === 404 ? 404 : 500).json({
+      error: `Failed to preview fulfillment order ${action}`,
+      message: error.message,
+      shopifyError: error.shopifyMessage
+    });
+  }
+}
+
+const SPLIT_WARNING = 'Only the given line_items are affected; the rest stay in a new fulfillment order';
+
+/**
+ * POST /api/fulfillment_orders/:fulfillmentOrderId/hold - Put a fulfillment order on hold
+ */
+router.post('/fulfillment_orders/:fulfillmentOrderId/hold', describeRoute('Fulfillment Orders', 'Put a fulfillment order on hold'), requireScope('write_fulfillments'), async (req, res) => {
+  const { reason, reason_notes, notify_merchant = false, line_items } = req.body;
+  const holdReason = typeof reason === 'string' ? reason.toLowerCase() : null;
+
+  if (!HOLD_REASONS.includes(holdReason)) {
+    return res.status(400).json({ error: `reason must be one of: ${HOLD_REASONS.join(', ')}` });
+  }
+
+  const invalid = validateFulfillmentOrderLineItems(line_items);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  if (req.dryRun) {
+    return dryRunFulfillmentOrderAction(req, res, {
+      action: 'hold',
+      supportedAction: 'hold',
+      update: current => ({
+        status: 'on_hold',
+        fulfillment_holds: [...(current.fulfillment_holds || []), { reason: holdReason, reason_notes: reason_notes || null }]
+      }),
+      warnings: line_items ? [SPLIT_WARNING] : []
+    });
+  }
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.holdFulfillmentOrder(req.params.fulfillmentOrderId, {
+      reason: holdReason.toUpperCase(),
+      reasonNotes: reason_notes,
+      notifyMerchant: Boolean(notify_merchant),
+      lineItems: line_items
+    });
+
+    console.log('✅ Fulfillment order held:', req.params.fulfillmentOrderId);
+
+    await logOperation(req, 'HOLD', 'fulfillment_order', req.params.fulfillmentOrderId, 'success', req.body);
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Fulfillment order hold failed:', error.message);
+    await logOperation(req, 'HOLD', 'fulfillment_order', req.params.fulfillmentOrderId, 'error', { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.code || 'Failed to hold fulfillment order',
+      message: error.message,
+      shopifyError: error.shopifyMessage
+    });
+  }
+});
+
+/**
+ * POST /api/fulfillment_orders/:fulfillmentOrderId/release_hold - Release the holds on a fulfillment order
+ */
+router.post('/fulfillment_orders/:fulfillmentOrderId/release_hold', describeRoute('Fulfillment Orders', 'Release the holds on a fulfillment order'), requireScope('write_fulfillments'), async (req, res) => {
+  if (req.dryRun) {
+    return dryRunFulfillmentOrderAction(req, res, {
+      action: 'release_hold',
+      supportedAction: 'release_hold',
+      update: () => ({ status: 'open', fulfillment_holds: [] })
+    });
+  }
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.releaseFulfillmentOrderHold(req.params.fulfillmentOrderId);
+
+    console.log('✅ Fulfillment order released:', req.params.fulfillmentOrderId);
+
+    await logOperation(req, 'RELEASE_HOLD', 'fulfillment_order', req.params.fulfillmentOrderId, 'success', req.body);
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Fulfillment order release hold failed:', error.message);
+    await logOperation(req, 'RELEASE_HOLD', 'fulfillment_order', req.params.fulfillmentOrderId, 'error', { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.code || 'Failed to release fulfillment order hold',
+      message: error.message,
+      shopifyError: error.shopifyMessage
+    });
+  }
+});
+
+/**
+ * POST /api/fulfillment_orders/:fulfillmentOrderId/move - Move a fulfillment order to another location
+ */
+router.post('/fulfillment_orders/:fulfillmentOrderId/move', describeRoute('Fulfillment Orders', 'Move a fulfillment order to another location'), requireScope('write_fulfillments'), async (req, res) => {
+  const { new_location_id, line_items } = req.body;
+
+  if (!/^\d+$/.test(String(new_location_id ?? ''))) {
+    return res.status(400).json({ error: 'Missing required field: new_location_id' });
+  }
+
+  const invalid = validateFulfillmentOrderLineItems(line_items);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  if (req.dryRun) {
+    return dryRunFulfillmentOrderAction(req, res, {
+      action: 'move',
+      supportedAction: 'move',
+      update: () => ({ assigned_location_id: Number(new_location_id) }),
+      warnings: line_items ? [SPLIT_WARNING] : []
+    });
+  }
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.moveFulfillmentOrder(req.params.fulfillmentOrderId, new_location_id, line_items);
+
+    console.log('✅ Fulfillment order moved:', req.params.fulfillmentOrderId);
+
+    await logOperation(req, 'MOVE', 'fulfillment_order', req.params.fulfillmentOrderId, 'success', req.body);
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Fulfillment order move failed:', error.message);
+    await logOperation(req, 'MOVE', 'fulfillment_order', req.params.fulfillmentOrderId, 'error', { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.code || 'Failed to move fulfillment order',
+      message: error.message,
+      shopifyError: error.shopifyMessage
+    });
+  }
+});
+
+/**
+ * POST /api/fulfillment_orders/:fulfillmentOrderId/cancel - Cancel a merchant-managed fulfillment order
+ */
+router.post('/fulfillment_orders/:fulfillmentOrderId/cancel', describeRoute('Fulfillment Orders', 'Cancel a merchant-managed fulfillment order'), requireScope('write_fulfillments'), async (req, res) => {
+  if (req.dryRun) {
+    return dryRunFulfillmentOrderAction(req, res, {
+      action: 'cancel',
+      supportedAction: 'cancel_fulfillment_order',
+      update: () => ({ status: 'closed' }),
+      warnings: ['Shopify opens a replacement fulfillment order for the unfulfilled line items']
+    });
+  }
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.cancelFulfillmentOrder(req.params.fulfillmentOrderId);
+
+    console.log('✅ Fulfillment order cancelled:', req.params.fulfillmentOrderId);
+
+    await logOperation(req, 'CANCEL', 'fulfillment_order', req.params.fulfillmentOrderId, 'success', req.body);
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Fulfillment order cancel failed:', error.message);
+    await logOperation(req, 'CANCEL', 'fulfillment_order', req.params.fulfillmentOrderId, 'error', { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.code || 'Failed to cancel fulfillment order',
+      message: error.message,
+      shopifyError: error.shopifyMessage
+    });
+  }
+});
+
+/**
+ * POST /api/fulfillment_orders/:fulfillmentOrderId/cancellation_request - Ask the fulfillment service to cancel a fulfillment order
+ */
+router.post('/fulfillment_orders/:fulfillmentOrderId/cancellation_request', describeRoute('Fulfillment Orders', 'Ask the fulfillment service to cancel a fulfillment order'), requireScope('write_fulfillments'), async (req, res) => {
+  if (req.dryRun) {
+    return dryRunFulfillmentOrderAction(req, res, {
+      action: 'cancellation_request',
+      supportedAction: 'request_cancellation',
+      update: () => ({ request_status: 'cancellation_requested' })
+    });
+  }
+
+  try {
+    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const result = await shopify.requestFulfillmentOrderCancellation(req.params.fulfillmentOrderId, req.body.message);
+
+    console.log('✅ Fulfillment order cancellation requested:', req.params.fulfillmentOrderId);
+
+    await logOperation(req, 'CANCELLATION_REQUEST', 'fulfillment_order', req.params.fulfillmentOrderId, 'success', req.body);
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Fulfillment order cancellation request failed:', error.message);
+    await logOperation(req, 'CANCELLATION_REQUEST', 'fulfillment_order', req.params.fulfillmentOrderId, 'error', { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.code || 'Failed to request fulfillment order cancellation',
+      message: error.message,
+      shopifyError: error.shopifyMessage
+    });
+  }
+});
+
+// ===== ACTIVITY LOGS =====
+
+/**
+ * GET /api/logs - Get sync activity logs
+ */
+router.get('/logs', describeRoute('Activity Logs', 'Get sync activity logs'), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const logs = await syncLogService.getLogsByStore(req.storeId, limit, offset);
+
+    res.json({ logs, limit, offset });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch logs', message: error.message });
+  }
+});
+
+/**
+ * GET /api/stats - Get activity statistics
+ */
+router.get('/stats', describeRoute('Activity Logs', 'Get activity statistics'), async (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || 24;
+    const summary = await syncLogService.getActivitySummary(req.storeId, hours);
+
+    res.json({ summary, hours });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch stats', message: error.message });
+  }
+});
+
+// ===== WEBHOOK SUBSCRIPTIONS (v1) =====
+
+// Read scope required to receive each forwarded topic family
+const TOPIC_SCOPES = {
+  'orders': 'read_orders',
+  'customers': 'read_customers',
+  'products': 'read_products',
+  'inventory_levels': 'read_inventory',
+  'fulfillments': 'read_fulfillments'
+};
+
+/**
+ * GET /api/v1/subscriptions - List webhook subscriptions for this API key
+ */
+router.get('/v1/subscriptions', describeRoute('Webhook Subscriptions', 'List webhook subscriptions for this API key'), async (req, res) => {
+  try {
+    const subscriptions = await subscriptionService.getSubscriptionsByApiKey(req.apiKeyId);
+    res.json({ success: true, total: subscriptions.length, subscriptions });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch subscriptions', message: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/subscriptions - Register a callback URL for a webhook topic
+ */
+router.post('/v1/subscriptions', describeRoute('Webhook Subscriptions', 'Register a callback URL for a webhook topic'), async (req, res) => {
+  const { topic, url } = req.body;
+
+  if (!topic || !url) {
+    return res.status(400).json({ error: 'Missing required fields: topic and url are required' });
+  }
+
+  if (!config.webhooks.topics.includes(topic)) {
+    return res.status(400).json({
+      error: 'Unsupported topic',
+      message: `'${topic}' is not forwarded by this app.`,
+      availableTopics: config.webhooks.topics
+    });
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid url' });
+  }
+
+  if (parsedUrl.protocol !== 'https:') {
+    return res.status(400).json({ error: 'Callback url must use HTTPS' });
+  }
+
+  const requiredScope = TOPIC_SCOPES[topic.split('/')[0]];
+
+  // Configured topics such as app/ and compliance topics aren't forwarded to portals
+  if (!requiredScope) {
+    return res.status(400).json({
+      error: 'Unsupported topic',
+      message: `'${topic}' can't be subscribed to through the API.`,
+      availableTopics: config.webhooks.topics.filter(name => TOPIC_SCOPES[name.split('/')[0]])
+    });
+  }
+
+  const writeScope = requiredScope.replace('read_', 'write_');
+  const hasPermission = req.scopes && (
+    req.scopes.includes(requiredScope) ||
+    req.scopes.includes(writeScope)
+  );
+
+  if (!hasPermission) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: `Your API key lacks the '${requiredScope}' scope required to subscribe to '${topic}'.`,
+      requiredScope,
+      yourScopes: req.scopes
+    });
+  }
+
+  try {
+    const subscription = await subscriptionService.createSubscription(req.storeId, req.apiKeyId, topic, parsedUrl.toString());
+
+    await logOperation(req, 'CREATE', 'subscription', subscription.id, 'success', { topic, url: subscription.url });
+    res.status(201).json({ success: true, subscription });
+  } catch (error) {
+    await logOperation(req, 'CREATE', 'subscription', null, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to create subscription', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/v1/subscriptions/:id - Remove a webhook subscription
+ */
+router.delete('/v1/subscriptions/:id', describeRoute('Webhook Subscriptions', 'Remove a webhook subscription'), async (req, res) => {
+  try {
+    const deleted = await subscriptionService.deleteSubscription(parseInt(req.params.id), req.apiKeyId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    await logOperation(req, 'DELETE', 'subscription', req.params.id, 'success');
+    res.json({ success: true, message: `Subscription ${req.params.id} deleted successfully` });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete subscription', message: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/resource-versions/:resourceType/:resourceId - Ordering metadata for a resource
+ * (inventory levels use "<inventory_item_id>:<location_id>" as their id)
+ */
+router.get('/v1/resource-versions/:resourceType/:resourceId', describeRoute('Webhook Subscriptions', 'Ordering metadata for a resource', {
+  resources: Object.keys(TOPIC_SCOPES),
+  scope: type => TOPIC_SCOPES[type]
+}), async (req, res) => {
+  const { resourceType, resourceId } = req.params;
+  const requiredScope = TOPIC_SCOPES[resourceType];
+
+  if (!requiredScope) {
+    return res.status(400).json({
+      error: 'Unsupported resource type',
+      availableTypes: Object.keys(TOPIC_SCOPES)
+    });
+  }
+
+  const writeScope = requiredScope.replace('read_', 'write_');
+  const hasPermission = req.scopes && (
+    req.scopes.includes(requiredScope) ||
+    req.scopes.includes(writeScope)
+  );
+
+  if (!hasPermission) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: `Your API key lacks the '${requiredScope}' scope required for '${resourceType}'.`,
+      requiredScope,
+      yourScopes: req.scopes
+    });
+  }
+
+  try {
+    const version = await webhookEventService.getResourceVersion(req.storeId, resourceType, resourceId);
+
+    if (!version) {
+      return res.status(404).json({ error: 'No webhook events recorded for this resource' });
+    }
+
+    res.json({ success: true, data: version });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch resource version', message: error.message });
+  }
+});
+
+// ===== CHANGE FEED (v1) =====
+
+/**
+ * GET /api/v1/changes - Resources changed since a cursor, in the order their webhooks arrived
+ * (?since=<cursor>&types=orders,products&limit=100)
+ */
+router.get('/v1/changes', describeRoute('Change Feed', 'Resources changed since a cursor, in the order their webhooks arrived'), async (req, res) => {
+  const readableTypes = Object.keys(TOPIC_SCOPES).filter(type => {
+    const scope = TOPIC_SCOPES[type];
+    return req.scopes && (req.scopes.includes(scope) || req.scopes.includes(scope.replace('read_', 'write_')));
+  });
+
+  let types = readableTypes;
+  if (req.query.types) {
+    types = [...new Set(req.query.types.split(',').map(type => type.trim()).filter(Boolean)
+      .map(type => (type === 'inventory' ? 'inventory_levels' : type)))];
+
+    const unsupported = types.filter(type => !TOPIC_SCOPES[type]);
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        error: 'Unsupported types',
+        message: `No change feed for: ${unsupported.join(', ')}`,
+        availableTypes: Object.keys(TOPIC_SCOPES)
+      });
+    }
+
+    const forbidden = types.filter(type => !readableTypes.includes(type));
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `Your API key cannot read: ${forbidden.join(', ')}`,
+        requiredScopes: forbidden.map(type => TOPIC_SCOPES[type]),
+        yourScopes: req.scopes
+      });
+    }
+  }
+
+  const since = req.query.since || '0';
+  if (!/^\d+$/.test(since)) {
+    return res.status(400).json({ error: 'Invalid cursor', message: 'since must be a cursor returned by this endpoint' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+  const topics = config.webhooks.topics.filter(topic => types.includes(topic.split('/')[0]));
+
+  try {
+    const events = types.length > 0
+      ? await webhookEventService.getChangesSince(req.storeId, since, topics, limit)
+      : [];
+
+    const changes = events.map(event => ({
+      cursor: event.id.toString(),
+      resource_type: event.resource_type,
+      resource_id: event.resource_id,
+      action: event.topic.split('/')[1],
+      topic: event.topic,
+      version: event.resource_version,
+      stale: event.is_stale,
+      triggered_at: event.triggered_at,
+      received_at: event.received_at
+    }));
+
+    res.json({
+      success: true,
+      types,
+      changes,
+      next_cursor: changes.length > 0 ? changes[changes.length - 1].cursor : since,
+      has_more: changes.length === limit
+    });
+  } catch (error) {
+    console.error('❌ Change feed failed:', error.message);
+    res.status(500).json({ error: 'Failed to fetch changes', message: error.message });
+  }
+});
+
+// ===== EXPORTS (v1) =====
+
+// Default CSV columns per exportable resource
+const EXPORT_COLUMNS = {
+  'orders': 'id,name,email,created_at,financial_status,fulfillment_status,currency,subtotal_price,total_tax,total_price,customer.id:customer_id',
+  'products': 'id,title,handle,vendor,product_type,status,tags,created_at,updated_at',
+  'customers': 'id,email,first_name,last_name,phone,state,orders_count,total_spent,created_at'
+};
+
+/**
+ * GET /api/v1/export/:resource - Stream every matching record as NDJSON or CSV
+ * (?format=csv&columns=id,email,customer.email:Customer Email&created_at_min=...)
+ */
+router.get('/v1/export/:resource', describeRoute('Exports', 'Stream every matching record as NDJSON or CSV', {
+  resources: Object.keys(EXPORT_COLUMNS),
+  scope: resource => TOPIC_SCOPES[resource]
+}), async (req, res) => {
+  const { resource } = req.params;
+
+  if (req.isBatchRequest) {
+    return res.status(400).json({ error: 'INVALID_BATCH_REQUEST', message: 'Exports are streamed and can\'t be batched' });
+  }
+
+  if (!EXPORT_COLUMNS[resource]) {
+    return res.status(400).json({
+      error: 'Unsupported resource',
+      message: `'${resource}' cannot be exported.`,
+      availableResources: Object.keys(EXPORT_COLUMNS)
+    });
+  }
+
+  const requiredScope = TOPIC_SCOPES[resource];
+  const hasPermission = req.scopes && (
+    req.scopes.includes(requiredScope) ||
+    req.scopes.includes(requiredScope.replace('read_', 'write_'))
+  );
+
+  if (!hasPermission) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: `Your API key lacks the '${requiredScope}' scope required to export '${resource}'.`,
+      requiredScope,
+      yourScopes: req.scopes
+    });
+  }
+
+  const { format = 'ndjson', columns: columnSpec, cursor, all, source, ...params } = req.query;
+
+  if (!['csv', 'ndjson'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', message: "format must be 'csv' or 'ndjson'" });
+  }
+
+  const columns = parseColumns(columnSpec || EXPORT_COLUMNS[resource]);
+  if (columns.length === 0) {
+    return res.status(400).json({ error: 'Invalid columns' });
+  }
+
+  params.limit = 250;
+  if (resource === 'orders' && !params.status) {
+    // Month-end exports want every order, not just open ones
+    params.status = 'any';
+  }
+  if (format === 'csv' && !params.fields) {
+    // Only fetch the top-level fields the columns read
+    params.fields = [...new Set(columns.map(column => column.path.split('.')[0]))].join(',');
+  }
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  // Respect backpressure so large exports never pile up in memory
+  const write = async chunk => {
+    if (!res.write(chunk) && !closed) {
+      await new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+      });
+    }
+  };
+
+  let count = 0;
+
   try {
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.getCustomer(req.params.id);
 
-    await logOperation(req, 'READ', 'customer', req.params.id, 'success');
+    for await (const page of shopify.paginate(resource, params)) {
+      if (!res.headersSent) {
+        res.status(200).set({
+          'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+          'Content-Disposition': `attachment; filename="${resource}-export.${format}"`
+        });
 
-    res.json(result);
-  } catch (error) {
-    console.error('❌ Customer fetch failed:', error.message);
-    await logOperation(req, 'READ', 'customer', req.params.id, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch customer', message: error.message });
-  }
-});
+        if (format === 'csv') {
+          await write(toCsvRow(columns.map(column => column.header)));
+        }
+      }
 
-/**
- * PUT /api/customers/:id - Update customer
- */
-router.put('/customers/:id', requireScope('write_customers'), async (req, res) => {
-  try {
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.updateCustomer(req.params.id, req.body);
+      for (const record of page.data[resource] || []) {
+        await write(format === 'csv'
+          ? toCsvRow(columns.map(column => getPath(record, column.path)))
+          : JSON.stringify(record) + '\n');
+        count++;
+      }
 
-    await logOperation(req, 'UPDATE', 'customer', req.params.id, 'success', { updates: req.body });
+      if (closed) break;
+    }
 
-    res.json(result);
+    res.end();
+    await logOperation(req, 'EXPORT', resource, null, closed ? 'cancelled' : 'success', { format, count, filters: params });
   } catch (error) {
-    console.error('❌ Customer update failed:', error.message);
-    await logOperation(req, 'UPDATE', 'customer', req.params.id, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to update customer', message: error.message });
+    console.error(`❌ Export of ${resource} failed after ${count} records:`, error.message);
+    await logOperation(req, 'EXPORT', resource, null, 'error', { format, count, error: error.message, shopifyError: error.shopifyMessage });
+
+    if (!res.headersSent) {
+      return res.status(error.response?.status || 500).json({
+        error: `Failed to export ${resource}`,
+        message: error.message,
+        shopifyError: error.shopifyMessage
+      });
+    }
+
+    // Abort the chunked response so the client sees an incomplete transfer rather than a short file
+    res.destroy(error);
   }
 });
 
-// ===== PRODUCTS =====
+// ===== BACKGROUND JOBS (v1) =====
 
 /**
- * GET /api/products - Get all products
+ * GET /api/v1/jobs - List background jobs for this store
  */
-router.get('/products', requireScope('read_products'), async (req, res) => {
+router.get('/v1/jobs', describeRoute('Background Jobs', 'List background jobs for this store'), async (req, res) => {
   try {
-    console.log('=== GET /api/products ===');
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.getProducts(req.query);
-
-    console.log('✅ Fetched', result.products?.length || 0, 'products');
-
-    await logOperation(req, 'READ', 'product', null, 'success', { count: result.products?.length || 0 });
+    const limit = Math.min(parseInt(req.query.limit) || 50, 250);
+    const offset = parseInt(req.query.offset) || 0;
+    const jobs = await jobService.getJobsByStore(req.storeId, limit, offset);
 
-    res.json(result);
+    res.json({ success: true, total: jobs.length, jobs });
   } catch (error) {
-    console.error('❌ Products fetch failed:', error.message);
-    await logOperation(req, 'READ', 'product', null, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch products', message: error.message });
+    res.status(500).json({ error: 'Failed to fetch jobs', message: error.message });
   }
 });
 
 /**
- * GET /api/products/:id - Get specific product
+ * POST /api/v1/jobs - Start a bulk backfill of the local mirror
  */
-router.get('/products/:id', requireScope('read_products'), async (req, res) => {
-  try {
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.getProduct(req.params.id);
+router.post('/v1/jobs', describeRoute('Background Jobs', 'Start a bulk backfill of the local mirror'), async (req, res) => {
+  const available = bulkSyncService.getResources();
+  const requested = Array.isArray(req.body.resources)
+    ? req.body.resources.map(resource => mirrorService.resolveResource(resource) || resource)
+    : available;
+
+  const unsupported = requested.filter(resource => !available.includes(resource));
+  if (unsupported.length > 0) {
+    return res.status(400).json({
+      error: 'Unsupported resources',
+      message: `Bulk backfill is not available for: ${unsupported.join(', ')}`,
+      availableResources: available
+    });
+  }
 
-    await logOperation(req, 'READ', 'product', req.params.id, 'success');
+  // Every requested resource needs its read (or write) scope
+  const missingScopes = requested
+    .map(resource => TOPIC_SCOPES[resource])
+    .filter(scope => !req.scopes || !(req.scopes.includes(scope) || req.scopes.includes(scope.replace('read_', 'write_'))));
 
-    res.json(result);
+  if (missingScopes.length > 0) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: `Your API key lacks the scopes required for this backfill: ${missingScopes.join(', ')}`,
+      requiredScopes: missingScopes,
+      yourScopes: req.scopes
+    });
+  }
+
+  try {
+    const store = { id: req.storeId, shop_domain: req.shopDomain, access_token: req.accessToken };
+    const job = await bulkSyncService.startBackfill(store, req.apiKeyId, requested);
+
+    await logOperation(req, 'CREATE', 'job', job.id, 'success', { type: job.type, resources: job.resources });
+    res.status(202).json({ success: true, job });
   } catch (error) {
-    console.error('❌ Product fetch failed:', error.message);
-    await logOperation(req, 'READ', 'product', req.params.id, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch product', message: error.message });
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message, jobId: error.jobId });
+    }
+
+    await logOperation(req, 'CREATE', 'job', null, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to start backfill', message: error.message });
   }
 });
 
 /**
- * PUT /api/products/:id - Update product
+ * GET /api/v1/jobs/:id - Job status and per-resource progress
  */
-router.put('/products/:id', requireScope('write_products'), async (req, res) => {
+router.get('/v1/jobs/:id', describeRoute('Background Jobs', 'Job status and per-resource progress'), async (req, res) => {
   try {
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.updateProduct(req.params.id, req.body);
+    const job = await jobService.getJob(parseInt(req.params.id), req.storeId);
 
-    await logOperation(req, 'UPDATE', 'product', req.params.id, 'success', { updates: req.body });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-    res.json(result);
+    res.json({ success: true, job });
   } catch (error) {
-    console.error('❌ Product update failed:', error.message);
-    await logOperation(req, 'UPDATE', 'product', req.params.id, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to update product', message: error.message });
+    res.status(500).json({ error: 'Failed to fetch job', message: error.message });
   }
 });
 
+// ===== INVENTORY LEDGER (v1) =====
+
 /**
- * POST /api/products - Create product
+ * GET /api/v1/inventory/:itemId/history - Quantity changes for an inventory item, newest first
  */
-router.post('/products', requireScope('write_products'), async (req, res) => {
-  try {
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.createProduct(req.body);
+router.get('/v1/inventory/:itemId/history', describeRoute('Inventory Ledger', 'Quantity changes for an inventory item, newest first'), requireScope('read_inventory'), async (req, res) => {
+  const { itemId } = req.params;
+  const { location_id, quantity_name, before } = req.query;
+
+  if (!/^\d+$/.test(itemId) || (location_id && !/^\d+$/.test(location_id)) || (before && !/^\d+$/.test(before))) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: 'itemId, location_id and before must be numeric'
+    });
+  }
 
-    await logOperation(req, 'CREATE', 'product', result.product?.id, 'success', { product: req.body });
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 250);
 
-    res.json(result);
+  try {
+    const entries = await inventoryLedgerService.getHistory(req.storeId, itemId, {
+      locationId: location_id || null,
+      quantityName: quantity_name || null,
+      before: before || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      inventory_item_id: itemId,
+      history: entries,
+      next_cursor: entries.length === limit ? entries[entries.length - 1].id.toString() : null
+    });
   } catch (error) {
-    console.error('❌ Product create failed:', error.message);
-    await logOperation(req, 'CREATE', 'product', null, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to create product', message: error.message });
+    console.error('❌ Inventory history failed:', error.message);
+    res.status(500).json({ error: 'Failed to fetch inventory history', message: error.message });
   }
 });
 
-// ===== INVENTORY =====
+// ===== OPERATIONS (v1) =====
 
 /**
- * GET /api/inventory - Get inventory levels
+ * Build the update that puts reverted fields back to their previous values.
+ * List items are sent by id (with every other current item, so Shopify keeps them).
+ * Changes that added or removed whole list items can't be reverted this way.
  */
-router.get('/inventory', requireScope('read_inventory'), async (req, res) => {
-  try {
-    console.log('=== GET /api/inventory ===');
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.getInventoryLevels(req.query);
+function buildRevertPayload(current, changes) {
+  const payload = {};
+
+  for (const change of changes) {
+    const [field, ...rest] = parsePath(change.path);
+    const previous = change.op === 'added' ? null : change.from;
+    const item = typeof rest[0] === 'object' ? rest[0] : null;
+    const fieldSteps = item ? rest.slice(1) : rest;
+
+    // Only named fields can be put back: not whole list items (variants[2], variants[id=5]) or positions
+    if ((item && fieldSteps.length === 0) || fieldSteps.some(step => typeof step !== 'string')) {
+      const error = new Error(`${change.path} was ${change.op} as a whole and can't be restored`);
+      error.status = 422;
+      error.code = 'NOT_REVERTABLE';
+      throw error;
+    }
 
-    console.log('✅ Fetched inventory levels');
+    if (item) {
+      payload[field] = payload[field] || (current[field] || []).map(entry => ({ id: entry.id }));
+      setNested(payload[field].find(entry => String(entry.id) === item.id), fieldSteps, previous);
+    } else if (fieldSteps.length > 0) {
+      payload[field] = payload[field] || JSON.parse(JSON.stringify(current[field] ?? {}));
+      setNested(payload[field], fieldSteps, previous);
+    } else {
+      payload[field] = previous;
+    }
+  }
 
-    await logOperation(req, 'READ', 'inventory', null, 'success', { count: result.inventory_levels?.length || 0 });
+  return payload;
+}
 
-    res.json(result);
-  } catch (error) {
-    console.error('❌ Inventory fetch failed:', error.message);
-    await logOperation(req, 'READ', 'inventory', null, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch inventory', message: error.message });
-  }
-});
+function setNested(target, steps, value) {
+  steps.slice(0, -1).forEach(step => {
+    if (!isPlainObject(target[step])) target[step] = {};
+    target = target[step];
+  });
+  target[steps[steps.length - 1]] = value;
+}
 
 /**
- * POST /api/inventory/sync - Sync inventory to Shopify
+ * POST /api/v1/operations/:logId/revert - Put back the values an update changed
+ * (only if every changed field still holds the value the update wrote)
  */
-router.post('/inventory/sync', requireScope('write_inventory'), async (req, res) => {
+router.post('/v1/operations/:logId/revert', describeRoute('Operations', 'Put back the values an update changed'), async (req, res) => {
   try {
-    let { inventory_item_id, location_id, available } = req.body;
+    const log = await syncLogService.getLog(parseInt(req.params.logId), req.storeId);
 
-    if (!inventory_item_id || available === undefined) {
-      return res.status(400).json({
-        error: 'Missing required fields: inventory_item_id and available are required'
+    if (!log) {
+      return res.status(404).json({ error: 'Operation not found' });
+    }
+
+    const { resource, changes, reverted_by: revertedBy } = log.details || {};
+
+    if (log.action !== 'UPDATE' || log.status !== 'success' || !resource || !Array.isArray(changes)) {
+      return res.status(422).json({
+        error: 'NOT_REVERTABLE',
+        message: 'Only successful updates recorded with their changes can be reverted'
       });
     }
 
+    if (revertedBy) {
+      return res.status(409).json({ error: 'ALREADY_REVERTED', message: `Operation ${log.id} was reverted by operation ${revertedBy}` });
+    }
+
+    const requiredScope = `write_${resource}`;
+    if (!req.scopes || !req.scopes.includes(requiredScope)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `Your API key lacks the '${requiredScope}' scope required to revert '${resource}' updates`,
+        requiredScope
+      });
+    }
+
+    if (changes.length === 0) {
+      return res.status(422).json({ error: 'NOT_REVERTABLE', message: 'The update did not change anything' });
+    }
+
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const current = await fetchRecord(shopify, resource, log.resource_id);
+
+    // Anything changed since (by anyone) wins over the revert
+    const conflicts = changes
+      .filter(change => !sameValue(readPath(current, change.path), change.to))
+      .map(change => ({ path: change.path, expected: change.to ?? null, current: readPath(current, change.path) ?? null }));
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'RESOURCE_CHANGED',
+        message: `The ${resource.replace(/s$/, '')} has changed since operation ${log.id}; revert the newer changes first or update it directly`,
+        conflicts
+      });
+    }
 
-    // Auto-fetch primary location if not provided
-    if (!location_id) {
-      const locations = await shopify.getLocations();
-      if (locations && locations.locations && locations.locations.length > 0) {
-        location_id = locations.locations[0].id;
-        console.log('  Auto-selected primary location for sync:', location_id);
-      } else {
-        return res.status(422).json({ error: 'No locations found in Shopify store' });
-      }
+    const payload = buildRevertPayload(current, changes);
+
+    if (req.dryRun) {
+      return await sendDryRun(req, res, { resource, id: log.resource_id, action: 'revert', current, payload });
     }
 
-    const result = await shopify.updateInventoryLevel(inventory_item_id, location_id, available);
+    // Concurrent reverts of the same operation would both pass the checks above; only one gets the claim
+    if (!(await syncLogService.claimRevert(log.id))) {
+      return res.status(409).json({ error: 'ALREADY_REVERTED', message: `Operation ${log.id} was already reverted` });
+    }
 
-    console.log('\u2705 Inventory synced:', inventory_item_id);
+    let update;
+    try {
+      update = await updateWithSnapshot(shopify, resource, log.resource_id, () =>
+        shopify.updateResource(resource, log.resource_id, { [resource.replace(/s$/, '')]: payload })
+      );
+    } catch (error) {
+      await syncLogService.releaseRevert(log.id);
+      throw error;
+    }
+    const { result, changes: revertChanges } = update;
 
-    await logOperation(req, 'UPDATE', 'inventory', inventory_item_id, 'success', {
-      location_id,
-      available
+    const revertLog = await logOperation(req, 'REVERT', log.resource_type, log.resource_id, 'success', {
+      reverts: log.id,
+      resource,
+      changes: revertChanges
     });
+    if (revertLog) await syncLogService.markReverted(log.id, revertLog.id);
 
-    res.json(result);
+    console.log(`✅ Operation ${log.id} reverted on ${resource} ${log.resource_id}`);
+
+    res.json({ success: true, reverted: log.id, operation_id: revertLog?.id ?? null, changes: revertChanges, data: result });
   } catch (error) {
-    console.error('\u274c Inventory sync failed:', error.message);
-    await logOperation(req, 'UPDATE', 'inventory', req.body.inventory_item_id, 'error', {
-      error: error.message
+    console.error('❌ Revert failed:', error.message);
+    await logOperation(req, 'REVERT', 'operation', req.params.logId, 'error', { error: error.message });
+    res.status(error.status || 500).json({
+      error: error.code || 'Failed to revert operation',
+      message: error.message,
+      shopifyError: error.shopifyMessage
     });
-    res.status(500).json({ error: 'Failed to sync inventory', message: error.message, shopifyError: error.shopifyMessage });
   }
 });
 
-// ===== LOCATIONS =====
+// ===== BATCH REQUESTS (v1) =====
+
+const BATCH_METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
 
 /**
- * GET /api/locations - Get all locations
+ * A sub-request's path without the router's mount path ("/api/v1/orders?x=1" -> "/v1/orders?x=1").
+ * The prefix is matched case-insensitively, as Express does.
  */
-router.get('/locations', requireScope('read_locations'), async (req, res) => {
-  try {
-    console.log('=== GET /api/locations ===');
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.getLocations();
+function stripBasePath(path, basePath) {
+  return path.toLowerCase().startsWith(`${basePath.toLowerCase()}/`) ? path.slice(basePath.length) : path;
+}
 
-    console.log('✅ Fetched', result.locations?.length || 0, 'locations');
+/**
+ * Check one sub-request of a batch; returns an error message or null
+ */
+function validateBatchRequest(subRequest, basePath) {
+  if (!isPlainObject(subRequest)) return 'Each request must be an object with method and path';
 
-    await logOperation(req, 'READ', 'location', null, 'success', { count: result.locations?.length || 0 });
+  const method = String(subRequest.method || 'GET').toUpperCase();
+  if (!BATCH_METHODS.includes(method)) return `method must be one of ${BATCH_METHODS.join(', ')}`;
 
-    res.json(result);
-  } catch (error) {
-    console.error('❌ Locations fetch failed:', error.message);
-    await logOperation(req, 'READ', 'location', null, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch locations', message: error.message });
+  if (typeof subRequest.path !== 'string' || !subRequest.path.startsWith('/')) {
+    return 'path must be a string starting with /';
   }
-});
 
-// ===== FULFILLMENTS =====
+  // Routes match case-insensitively and with a trailing slash (the handlers reject these too)
+  const path = stripBasePath(subRequest.path, basePath).split('?')[0].toLowerCase().replace(/\/+$/, '') || '/';
+  if (path === '/v1/batch') return 'Batches can\'t be nested';
+  if (path.startsWith('/v1/export/')) return 'Exports are streamed and can\'t be batched';
+
+  if (subRequest.body !== undefined && !isPlainObject(subRequest.body) && !Array.isArray(subRequest.body)) {
+    return 'body must be a JSON object or array';
+  }
+  return null;
+}
 
 /**
- * GET /api/orders/:orderId/fulfillments - Get fulfillments for an order
+ * Run one sub-request through this router, as if it had been sent on its own with the
+ * batch's credentials (rate limits and scope checks apply; the batch was already authenticated).
+ * Resolves to { status, headers, body }, or a 504 if it takes longer than config.batch.timeoutMs.
  */
-router.get('/orders/:orderId/fulfillments', requireScope('read_fulfillments'), async (req, res) => {
-  try {
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.getFulfillments(req.params.orderId);
+function dispatchBatchRequest(req, subRequest) {
+  return new Promise(resolve => {
+    const url = stripBasePath(subRequest.path, req.baseUrl);
+    const search = url.includes('?') ? url.slice(url.indexOf('?') + 1) : '';
+
+    // The batch's own Idempotency-Key covers the whole batch, not each request in it
+    const headers = { ...req.headers, 'content-type': 'application/json' };
+    delete headers['idempotency-key'];
+    delete headers['content-length'];
+
+    const subReq = Object.create(req);
+    Object.assign(subReq, {
+      method: String(subRequest.method || 'GET').toUpperCase(),
+      url,
+      originalUrl: req.baseUrl + url,
+      baseUrl: req.baseUrl,
+      headers,
+      body: subRequest.body ?? {},
+      query: req.app.get('query parser fn')(search),
+      params: {},
+      dryRun: undefined,
+      isBatchRequest: true
+    });
 
-    await logOperation(req, 'READ', 'fulfillment', null, 'success', { order_id: req.params.orderId });
+    const subRes = new http.ServerResponse(subReq);
+    Object.setPrototypeOf(subRes, Object.getPrototypeOf(req.res));
+    Object.assign(subRes, { req: subReq, locals: {} });
+    subReq.res = subRes;
+
+    // The request keeps running after a timeout (a write may still go through), but the batch moves on
+    let settled = false;
+    const settle = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+    const timer = setTimeout(() => settle({
+      status: 504,
+      headers: {},
+      body: { error: 'BATCH_REQUEST_TIMEOUT', message: `The request didn't finish within ${config.batch.timeoutMs}ms; it may still complete` }
+    }), config.batch.timeoutMs);
+
+    const chunks = [];
+    subRes.write = chunk => {
+      if (chunk) chunks.push(Buffer.from(chunk));
+      return true;
+    };
+    subRes.end = chunk => {
+      if (chunk) chunks.push(Buffer.from(chunk));
+
+      const text = Buffer.concat(chunks).toString('utf8');
+      let body = text || null;
+      if (text && String(subRes.getHeader('content-type')).includes('json')) {
+        try {
+          body = JSON.parse(text);
+        } catch (error) {
+          // Leave the body as text
+        }
+      }
 
-    res.json(result);
-  } catch (error) {
-    console.error('❌ Fulfillments fetch failed:', error.message);
-    await logOperation(req, 'READ', 'fulfillment', null, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch fulfillments', message: error.message });
-  }
-});
+      // Shopify call limits are reported once, on the batch response
+      const resultHeaders = {};
+      Object.entries(subRes.getHeaders())
+        .filter(([name]) => name.startsWith('x-') && !name.startsWith('x-shopify-') && name !== 'x-powered-by')
+        .forEach(([name, value]) => { resultHeaders[name] = value; });
+
+      settle({ status: subRes.statusCode, headers: resultHeaders, body });
+      // There's no socket, so end the response here for anything waiting on it
+      subRes.emit('finish');
+      return subRes;
+    };
+
+    router.handle(subReq, subRes, error => {
+      if (error) {
+        console.error('Batch request error:', error);
+        return subRes.status(error.status || 500).json({ error: error.message || 'Internal server error' });
+      }
+      subRes.status(404).json({ error: 'Not found', path: url.split('?')[0] });
+    });
+  });
+}
 
 /**
- * POST /api/orders/:orderId/fulfillments - Create fulfillment
+ * POST /api/v1/batch - Run several API requests in one round trip
+ * Body: { requests: [{ id?, method, path, body? }] }
+ * Each request gets its own status and body; results are in the order the requests were given.
  */
-router.post('/orders/:orderId/fulfillments', requireScope('write_fulfillments'), async (req, res) => {
+router.post('/v1/batch', describeRoute('Batch Requests', 'Run several API requests in one round trip'), async (req, res) => {
+  if (req.isBatchRequest) {
+    return res.status(400).json({ error: 'INVALID_BATCH_REQUEST', message: 'Batches can\'t be nested' });
+  }
+
   try {
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.createFulfillment(req.params.orderId, req.body);
+    const { requests } = req.body;
+    const { maxRequests, concurrency } = config.batch;
 
-    console.log('✅ Fulfillment created for order:', req.params.orderId);
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return res.status(400).json({ error: 'requests must be a non-empty array' });
+    }
 
-    await logOperation(req, 'CREATE', 'fulfillment', result.fulfillment?.id, 'success', {
-      order_id: req.params.orderId
-    });
+    if (requests.length > maxRequests) {
+      return res.status(400).json({ error: `A batch can hold at most ${maxRequests} requests` });
+    }
 
-    res.json(result);
-  } catch (error) {
-    console.error('❌ Fulfillment create failed:', error.message);
-    await logOperation(req, 'CREATE', 'fulfillment', null, 'error', { error: error.message });
-    res.status(500).json({ error: 'Failed to create fulfillment', message: error.message });
-  }
-});
+    const results = new Array(requests.length);
+    let nextIndex = 0;
 
-// ===== ACTIVITY LOGS =====
+    // A few requests at a time; Shopify calls are still paced by the store's rate limiter
+    const worker = async () => {
+      while (nextIndex < requests.length) {
+        const index = nextIndex++;
+        const subRequest = requests[index];
+        const invalid = validateBatchRequest(subRequest, req.baseUrl);
 
-/**
- * GET /api/logs - Get sync activity logs
- */
-router.get('/logs', async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
+        const result = invalid
+          ? { status: 400, headers: {}, body: { error: 'INVALID_BATCH_REQUEST', message: invalid } }
+          : await dispatchBatchRequest(req, subRequest);
 
-    const logs = await syncLogService.getLogsByStore(req.storeId, limit, offset);
+        results[index] = {
+          ...(isPlainObject(subRequest) && subRequest.id !== undefined && { id: subRequest.id }),
+          ...result
+        };
+      }
+    };
 
-    res.json({ logs, limit, offset });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch logs', message: error.message });
-  }
-});
+    await Promise.all(Array.from({ length: Math.min(concurrency, requests.length) }, worker));
 
-/**
- * GET /api/stats - Get activity statistics
- */
-router.get('/stats', async (req, res) => {
-  try {
-    const hours = parseInt(req.query.hours) || 24;
-    const summary = await syncLogService.getActivitySummary(req.storeId, hours);
+    const failed = results.filter(result => result.status >= 400).length;
 
-    res.json({ summary, hours });
+    res.json({
+      success: failed === 0,
+      summary: { total: results.length, succeeded: results.length - failed, failed },
+      results
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch stats', message: error.message });
+    console.error('❌ Batch failed:', error.message);
+    res.status(500).json({ error: 'Failed to run batch', message: error.message });
   }
 });
 
 // ===== DYNAMIC RESOURCE ACCESS (v1) =====
 
+// Resources of the dynamic /v1/:resource routes (listed one by one in the OpenAPI spec) and the GraphQL-backed ones
+const REST_API_RESOURCES = [
+  'orders', 'products', 'customers', 'inventory', 'locations',
+  'price_rules', 'draft_orders', 'fulfillments', 'gift_cards',
+  'marketing_events', 'content', 'themes', 'script_tags',
+  'shipping', 'analytics', 'reports', 'checkouts'
+];
+
+const GRAPHQL_RESOURCES = [
+  { name: 'returns', scope: 'read_returns', endpoint: '/api/v1/graphql/returns' },
+  { name: 'discounts', scope: 'read_discounts', endpoint: '/api/v1/graphql/discounts' },
+  { name: 'order_edits', scope: 'read_order_edits', endpoint: '/api/v1/graphql/order-edits' },
+  { name: 'payouts', scope: 'read_shopify_payments_payouts', endpoint: '/api/v1/graphql/payouts' },
+  { name: 'disputes', scope: 'read_shopify_payments_disputes', endpoint: '/api/v1/graphql/disputes' }
+];
+
 /**
  * GET /api/v1/resources - List available resources based on scopes
  */
-router.get('/v1/resources', (req, res) => {
-  const REST_API_RESOURCES = [
-    'orders', 'products', 'customers', 'inventory', 'locations',
-    'price_rules', 'draft_orders', 'fulfillments', 'gift_cards',
-    'marketing_events', 'content', 'themes', 'script_tags',
-    'shipping', 'analytics', 'reports', 'checkouts'
-  ];
-
-  const GRAPHQL_RESOURCES = [
-    { name: 'returns', scope: 'read_returns', endpoint: '/api/v1/graphql/returns' },
-    { name: 'discounts', scope: 'read_discounts', endpoint: '/api/v1/graphql/discounts' },
-    { name: 'order_edits', scope: 'read_order_edits', endpoint: '/api/v1/graphql/order-edits' },
-    { name: 'payouts', scope: 'read_shopify_payments_payouts', endpoint: '/api/v1/graphql/payouts' },
-    { name: 'disputes', scope: 'read_shopify_payments_disputes', endpoint: '/api/v1/graphql/disputes' }
-  ];
-
+router.get('/v1/resources', describeRoute('Resources', 'List available resources based on scopes'), (req, res) => {
   const available = [];
 
   // Add REST resources
@@ -489,10 +2887,32 @@ router.get('/v1/resources', (req, res) => {
   res.json({ success: true, total: available.length, resources: available });
 });
 
+/**
+ * GET /api/openapi.json - OpenAPI 3 document of the routes this API key's scopes allow
+ */
+router.get('/openapi.json', describeRoute('Resources', 'OpenAPI 3 document of the routes this API key\'s scopes allow'), (req, res) => {
+  try {
+    const spec = buildSpec({
+      sources: [
+        { prefix: req.baseUrl, router },
+        { prefix: `${req.baseUrl}/v1/graphql`, router: graphqlRoutes, tagPrefix: 'GraphQL: ' }
+      ],
+      scopes: req.scopes || [],
+      publicPaths: [`${req.baseUrl}/health`],
+      serverUrl: config.app.url || `${req.protocol}://${req.get('host')}`
+    });
+
+    res.json(spec);
+  } catch (error) {
+    console.error('Error building OpenAPI spec:', error);
+    res.status(500).json({ error: 'Failed to build API spec', message: error.message });
+  }
+});
+
 /**
  * GET /api/v1/:resource - Dynamic resource fetcher
  */
-router.get('/v1/:resource', async (req, res) => {
+router.get('/v1/:resource', describeRoute('Resources', 'Dynamic resource fetcher', { resources: REST_API_RESOURCES }), async (req, res) => {
   const { resource } = req.params;
   const scopeMap = {
     'orders': 'read_orders',
@@ -527,17 +2947,34 @@ router.get('/v1/:resource', async (req, res) => {
     });
   }
 
+  if (req.query.source === 'mirror') {
+    return sendFromMirror(req, res, resource, null, (data, pagination) => ({ success: true, resource, source: 'mirror', data, ...pagination }));
+  }
+
   try {
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
     let result;
+    let pagination = { next_cursor: null, prev_cursor: null };
+
+    // Paged REST list endpoints behind each resource name
+    const listPaths = {
+      orders: 'orders',
+      customers: 'customers',
+      products: 'products',
+      inventory: 'inventory_levels',
+      locations: 'locations',
+      analytics: 'reports',
+      reports: 'reports',
+      shipping: 'shipping_zones',
+      price_rules: 'price_rules',
+      discounts: 'discounts',
+      draft_orders: 'draft_orders'
+    };
 
     switch (resource) {
-      case 'orders': result = await shopify.getOrders(req.query); break;
-      case 'customers': result = await shopify.getCustomers(req.query); break;
-      case 'products': result = await shopify.getProducts(req.query); break;
       case 'inventory':
-        // If location_id is missing, auto-fetch and use primary location
-        if (!req.query.location_ids && !req.query.location_id) {
+        // If location_id is missing, auto-fetch and use primary location (a cursor already carries the filters)
+        if (!req.query.cursor && !req.query.location_ids && !req.query.location_id) {
           const locations = await shopify.getLocations();
           if (locations && locations.locations && locations.locations.length > 0) {
             const primaryLocation = locations.locations[0];
@@ -546,9 +2983,8 @@ router.get('/v1/:resource', async (req, res) => {
             return res.status(422).json({ error: 'No locations found', message: 'Shopify store must have at least one location for inventory.' });
           }
         }
-        result = await shopify.getInventoryLevels(req.query);
+        ({ data: result, pagination } = await fetchList(shopify, listPaths.inventory, req.query));
         break;
-      case 'locations': result = await shopify.getLocations(); break;
       case 'fulfillment_orders':
         if (!req.query.order_id) return res.status(400).json({ error: 'Missing order_id' });
         result = await shopify.getFulfillmentOrders(req.query.order_id);
@@ -562,16 +2998,6 @@ router.get('/v1/:resource', async (req, res) => {
         }
         result = await shopify.getFulfillments(req.query.order_id);
         break;
-      case 'analytics':
-      case 'reports':
-        result = await shopify.getResource('reports', req.query);
-        break;
-      case 'shipping':
-        result = await shopify.getResource('shipping_zones', req.query);
-        break;
-      case 'price_rules': result = await shopify.getPriceRules(req.query); break;
-      case 'discounts': result = await shopify.getDiscounts(req.query); break;
-      case 'draft_orders': result = await shopify.getDraftOrders(req.query); break;
       case 'returns':
         // Redirect to GraphQL returns if possible, or provide a helpful error
         return res.status(400).json({
@@ -579,12 +3005,12 @@ router.get('/v1/:resource', async (req, res) => {
           message: 'Please use the GraphQL endpoint: /api/v1/graphql/returns'
         });
       default:
-        // Future-proof fallback for other resources
-        result = await shopify.getResource(resource, req.query);
+        // Known list endpoints, plus a future-proof fallback for other resources
+        ({ data: result, pagination } = await fetchList(shopify, listPaths[resource] || resource, req.query));
         break;
     }
 
-    res.json({ success: true, resource, data: result });
+    res.json({ success: true, resource, data: result, ...pagination });
   } catch (error) {
     console.error(`❌ Error fetching ${resource}:`, error.message);
 
@@ -608,7 +3034,7 @@ router.get('/v1/:resource', async (req, res) => {
 /**
  * GET /api/v1/:resource/:id - Dynamic resource fetcher for specific ID
  */
-router.get('/v1/:resource/:id', async (req, res) => {
+router.get('/v1/:resource/:id', describeRoute('Resources', 'Dynamic resource fetcher for specific ID', { resources: REST_API_RESOURCES }), async (req, res) => {
   const { resource, id } = req.params;
   const scopeMap = {
     'orders': 'read_orders',
@@ -639,6 +3065,10 @@ router.get('/v1/:resource/:id', async (req, res) => {
     });
   }
 
+  if (req.query.source === 'mirror') {
+    return sendFromMirror(req, res, resource, id, data => ({ success: true, resource, source: 'mirror', data }));
+  }
+
   try {
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
     const singular = resource.replace(/s$/, ''); // e.g. "products" -> "product"
@@ -660,7 +3090,7 @@ router.get('/v1/:resource/:id', async (req, res) => {
 /**
  * POST /api/v1/:resource - Create resource
  */
-router.post('/v1/:resource', async (req, res) => {
+router.post('/v1/:resource', describeRoute('Resources', 'Create resource', { resources: REST_API_RESOURCES }), async (req, res) => {
   const { resource } = req.params;
   const requiredScope = `write_${resource}`;
 
@@ -672,8 +3102,10 @@ router.post('/v1/:resource', async (req, res) => {
     });
   }
 
+  if (req.dryRun) return dryRunResourceWrite(req, res, { resource, action: 'create' });
+
   try {
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const shopify = ledgerClient(req);
     const result = await shopify.createResource(resource, req.body);
 
     await logOperation(req, 'CREATE', resource, result[Object.keys(result)[0]]?.id, 'success');
@@ -690,7 +3122,7 @@ router.post('/v1/:resource', async (req, res) => {
 /**
  * PUT /api/v1/:resource - Update resource without ID in URL
  */
-router.put('/v1/:resource', async (req, res) => {
+router.put('/v1/:resource', describeRoute('Resources', 'Update resource without ID in URL', { resources: REST_API_RESOURCES }), async (req, res) => {
   const { resource } = req.params;
   const requiredScope = `write_${resource}`;
 
@@ -702,8 +3134,10 @@ router.put('/v1/:resource', async (req, res) => {
     });
   }
 
+  if (req.dryRun) return dryRunResourceWrite(req, res, { resource, action: 'update' });
+
   try {
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+    const shopify = ledgerClient(req);
     const result = await shopify.updateResource(resource, null, req.body);
 
     await logOperation(req, 'UPDATE', resource, null, 'success');
@@ -720,7 +3154,7 @@ router.put('/v1/:resource', async (req, res) => {
 /**
  * PUT /api/v1/:resource/:id - Update resource
  */
-router.put('/v1/:resource/:id', async (req, res) => {
+router.put('/v1/:resource/:id', describeRoute('Resources', 'Update resource', { resources: REST_API_RESOURCES }), async (req, res) => {
   const { resource, id } = req.params;
   const requiredScope = `write_${resource}`;
 
@@ -732,11 +3166,21 @@ router.put('/v1/:resource/:id', async (req, res) => {
     });
   }
 
+  if (req.dryRun) return dryRunResourceWrite(req, res, { resource, id, action: 'update' });
+
   try {
-    const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
-    const result = await shopify.updateResource(resource, id, req.body);
+    const shopify = ledgerClient(req);
+
+    // Inventory history is kept in the ledger; other records are snapshotted so the update can be reverted
+    if (resource === 'inventory') {
+      const result = await shopify.updateResource(resource, id, req.body);
+      await logOperation(req, 'UPDATE', resource, id, 'success');
+      return res.json({ success: true, resource, data: result });
+    }
 
-    await logOperation(req, 'UPDATE', resource, id, 'success');
+    const { result, changes } = await updateWithSnapshot(shopify, resource, id, () => shopify.updateResource(resource, id, req.body));
+
+    await logUpdate(req, res, resource, resource, id, req.body, changes);
     res.json({ success: true, resource, data: result });
   } catch (error) {
     res.status(500).json({
@@ -750,7 +3194,7 @@ router.put('/v1/:resource/:id', async (req, res) => {
 /**
  * DELETE /api/v1/:resource/:id - Delete resource
  */
-router.delete('/v1/:resource/:id', async (req, res) => {
+router.delete('/v1/:resource/:id', describeRoute('Resources', 'Delete resource', { resources: REST_API_RESOURCES }), async (req, res) => {
   const { resource, id } = req.params;
   const requiredScope = `write_${resource}`;
 
@@ -762,6 +3206,8 @@ router.delete('/v1/:resource/:id', async (req, res) => {
     });
   }
 
+  if (req.dryRun) return dryRunResourceWrite(req, res, { resource, id, action: 'delete' });
+
   try {
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
     await shopify.deleteResource(resource, id);
@@ -782,7 +3228,7 @@ router.delete('/v1/:resource/:id', async (req, res) => {
 /**
  * GET /api/v1/orders/:orderId/refunds - Get refunds for an order
  */
-router.get('/v1/orders/:orderId/refunds', async (req, res) => {
+router.get('/v1/orders/:orderId/refunds', describeRoute('Refunds', 'Get refunds for an order', { scope: 'read_orders' }), async (req, res) => {
   const { orderId } = req.params;
   const requiredScope = 'read_orders';
   const writeScope = 'write_orders';
@@ -819,7 +3265,7 @@ router.get('/v1/orders/:orderId/refunds', async (req, res) => {
 /**
  * POST /api/v1/orders/:orderId/refunds - Create a refund
  */
-router.post('/v1/orders/:orderId/refunds', async (req, res) => {
+router.post('/v1/orders/:orderId/refunds', describeRoute('Refunds', 'Create a refund', { scope: 'write_orders' }), async (req, res) => {
   const { orderId } = req.params;
   const requiredScope = 'write_orders';
 
@@ -831,6 +3277,32 @@ router.post('/v1/orders/:orderId/refunds', async (req, res) => {
     });
   }
 
+  // Shopify calculates the refund (amounts and transactions) without issuing it
+  if (req.dryRun) {
+    try {
+      const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
+      const payload = req.body.refund || req.body;
+      let calculated = null;
+      let validation;
+
+      try {
+        const result = await shopify.request('POST', `/orders/${orderId}/refunds/calculate.json`, { refund: payload });
+        calculated = result.refund;
+      } catch (error) {
+        if (error.response?.status !== 422) throw error;
+        validation = { errors: [error.shopifyMessage || error.message], warnings: [] };
+      }
+
+      return await sendDryRun(req, res, { resource: 'refunds', id: orderId, action: 'create', payload, validation, extra: { calculated } });
+    } catch (error) {
+      return res.status(500).json({
+        error: 'Failed to calculate refund',
+        message: error.message,
+        shopifyError: error.shopifyMessage
+      });
+    }
+  }
+
   try {
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
     const result = await shopify.request('POST', `/orders/${orderId}/refunds.json`, req.body);
@@ -849,7 +3321,7 @@ router.post('/v1/orders/:orderId/refunds', async (req, res) => {
 /**
  * GET /api/v1/orders/:orderId/transactions - Get transactions for an order (REST)
  */
-router.get('/v1/orders/:orderId/transactions', async (req, res) => {
+router.get('/v1/orders/:orderId/transactions', describeRoute('Refunds', 'Get transactions for an order (REST)', { scope: 'read_orders' }), async (req, res) => {
   const { orderId } = req.params;
   const requiredScope = 'read_orders';
   const writeScope = 'write_orders';
@@ -888,7 +3360,7 @@ router.get('/v1/orders/:orderId/transactions', async (req, res) => {
 /**
  * GET /api/test-connection - Test Shopify connection
  */
-router.get('/test-connection', async (req, res) => {
+router.get('/test-connection', describeRoute('Test Connection', 'Test Shopify connection'), async (req, res) => {
   try {
 
     const shopify = new ShopifyAPI(req.shopDomain, req.accessToken);
@@ -916,7 +3388,7 @@ router.get('/test-connection', async (req, res) => {
 /**
  * GET /api/debug-token - Debug access token
  */
-router.get('/debug-token', async (req, res) => {
+router.get('/debug-token', describeRoute('Test Connection', 'Debug access token'), async (req, res) => {
   try {
     console.log('=== DEBUG TOKEN ===');
     console.log('Shop Domain:', req.shopDomain);
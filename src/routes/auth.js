@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const { buildAuthUrl, getAccessToken, generateNonce } = require('../utils/shopify');
 const storeService = require('../services/storeService');
 const webhookService = require('../services/webhookService');
+const bulkSyncService = require('../services/bulkSyncService');
 const config = require('../config');
 const { verifyHmac } = require('../middleware/auth');
 
@@ -70,6 +71,11 @@ router.get('/auth/callback', verifyHmac, async (req, res) => {
       access_token: tokenData.access_token
     });
     
+    // Populate the local mirror in the background
+    bulkSyncService.startBackfill({ ...store, access_token: tokenData.access_token }).catch(error => {
+      console.error('Mirror backfill failed to start:', error.message);
+    });
+    
     // Create JWT for embedded app session
     const token = jwt.sign(
       { shop, storeId: store.id },
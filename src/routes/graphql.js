@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const ShopifyGraphQL = require('../utils/graphql');
 const { verifyApiKey, logOperation } = require('../middleware/auth');
+const { describeRoute } = require('../utils/openapi');
 
 // Apply authentication middleware to all GraphQL routes
 router.use(verifyApiKey);
@@ -10,7 +11,7 @@ router.use(verifyApiKey);
  * Helper function to check GraphQL-specific scopes
  */
 function requireGraphQLScope(scope) {
-    return (req, res, next) => {
+    const check = (req, res, next) => {
         if (!req.scopes || !req.scopes.includes(scope)) {
             // Check if write scope can satisfy read requirement
             if (scope.startsWith('read_')) {
@@ -29,6 +30,9 @@ function requireGraphQLScope(scope) {
         }
         next();
     };
+
+    check.scope = scope;
+    return check;
 }
 
 // ===== RETURNS =====
@@ -36,7 +40,7 @@ function requireGraphQLScope(scope) {
 /**
  * GET /api/v1/graphql/returns - Get all returns
  */
-router.get('/returns', requireGraphQLScope('read_returns'), async (req, res) => {
+router.get('/returns', describeRoute('Returns', 'Get all returns'), requireGraphQLScope('read_returns'), async (req, res) => {
     try {
         const { first = 50, after } = req.query;
         const graphql = new ShopifyGraphQL(req.shopDomain, req.accessToken);
@@ -76,7 +80,7 @@ router.get('/returns', requireGraphQLScope('read_returns'), async (req, res) =>
 /**
  * GET /api/v1/graphql/returns/:id - Get specific return
  */
-router.get('/returns/:id', requireGraphQLScope('read_returns'), async (req, res) => {
+router.get('/returns/:id', describeRoute('Returns', 'Get specific return'), requireGraphQLScope('read_returns'), async (req, res) => {
     try {
         const { id } = req.params;
         const graphql = new ShopifyGraphQL(req.shopDomain, req.accessToken);
@@ -102,7 +106,7 @@ router.get('/returns/:id', requireGraphQLScope('read_returns'), async (req, res)
 /**
  * GET /api/v1/graphql/discounts - Get all discounts
  */
-router.get('/discounts', requireGraphQLScope('read_discounts'), async (req, res) => {
+router.get('/discounts', describeRoute('Discounts', 'Get all discounts'), requireGraphQLScope('read_discounts'), async (req, res) => {
     try {
         const { first = 50, after } = req.query;
         const graphql = new ShopifyGraphQL(req.shopDomain, req.accessToken);
@@ -125,7 +129,7 @@ router.get('/discounts', requireGraphQLScope('read_discounts'), async (req, res)
 /**
  * GET /api/v1/graphql/order-edits/:orderId - Get order edits for a specific order
  */
-router.get('/order-edits/:orderId', requireGraphQLScope('read_order_edits'), async (req, res) => {
+router.get('/order-edits/:orderId', describeRoute('Order Edits', 'Get order edits for a specific order'), requireGraphQLScope('read_order_edits'), async (req, res) => {
     try {
         const { orderId } = req.params;
         const graphql = new ShopifyGraphQL(req.shopDomain, req.accessToken);
@@ -151,7 +155,7 @@ router.get('/order-edits/:orderId', requireGraphQLScope('read_order_edits'), asy
 /**
  * GET /api/v1/graphql/payouts - Get Shopify Payments payouts
  */
-router.get('/payouts', requireGraphQLScope('read_shopify_payments_payouts'), async (req, res) => {
+router.get('/payouts', describeRoute('Payouts', 'Get Shopify Payments payouts'), requireGraphQLScope('read_shopify_payments_payouts'), async (req, res) => {
     try {
         const { first = 50, after } = req.query;
         const graphql = new ShopifyGraphQL(req.shopDomain, req.accessToken);
@@ -178,7 +182,7 @@ router.get('/payouts', requireGraphQLScope('read_shopify_payments_payouts'), asy
 /**
  * GET /api/v1/graphql/disputes - Get payment disputes
  */
-router.get('/disputes', requireGraphQLScope('read_shopify_payments_disputes'), async (req, res) => {
+router.get('/disputes', describeRoute('Disputes', 'Get payment disputes'), requireGraphQLScope('read_shopify_payments_disputes'), async (req, res) => {
     try {
         const { first = 50, after } = req.query;
         const graphql = new ShopifyGraphQL(req.shopDomain, req.accessToken);
@@ -205,7 +209,7 @@ router.get('/disputes', requireGraphQLScope('read_shopify_payments_disputes'), a
 /**
  * GET /api/v1/graphql/transactions/:orderId - Get detailed transaction info for an order
  */
-router.get('/transactions/:orderId', requireGraphQLScope('read_orders'), async (req, res) => {
+router.get('/transactions/:orderId', describeRoute('Transactions', 'Get detailed transaction info for an order'), requireGraphQLScope('read_orders'), async (req, res) => {
     try {
         const { orderId } = req.params;
         const graphql = new ShopifyGraphQL(req.shopDomain, req.accessToken);
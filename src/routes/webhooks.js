@@ -3,6 +3,13 @@ const router = express.Router();
 const crypto = require('crypto');
 const storeService = require('../services/storeService');
 const syncLogService = require('../services/syncLogService');
+const forwardingService = require('../services/forwardingService');
+const webhookEventService = require('../services/webhookEventService');
+const complianceService = require('../services/complianceService');
+const mirrorService = require('../services/mirrorService');
+const skuIndexService = require('../services/skuIndexService');
+const inventoryLedgerService = require('../services/inventoryLedgerService');
+const alertService = require('../services/alertService');
 const config = require('../config');
 
 /**
@@ -10,6 +17,9 @@ const config = require('../config');
  * (Captured globally in server.js)
  */
 
+// Mandatory privacy topics (configured in the Partner Dashboard, not registered via the API)
+const COMPLIANCE_TOPICS = ['customers/data_request', 'customers/redact', 'shop/redact'];
+
 /**
  * Middleware to verify webhook authenticity
  */
@@ -40,39 +50,147 @@ async function verifyWebhookMiddleware(req, res, next) {
 
   console.log('✅ Webhook HMAC verified for:', shop);
 
-  // Get store from database
-  const store = await storeService.getStoreByDomain(shop);
+  const topic = req.get('X-Shopify-Topic') || req.path.slice(1).replace('-', '/');
+  const isCompliance = COMPLIANCE_TOPICS.includes(topic);
+
+  // Get store from database (privacy webhooks also arrive after uninstall)
+  const store = await storeService.getStoreByDomain(shop, isCompliance);
   if (!store) {
+    if (isCompliance) {
+      // Nothing held for this shop any more, but the request is still recorded
+      req.store = null;
+      req.shopDomain = shop;
+      return next();
+    }
     console.error('❌ Store not found:', shop);
     return res.status(404).send('Store not found');
   }
 
   req.store = store;
+  req.shopDomain = shop;
+
+  // Record the event; Shopify retries reuse the same X-Shopify-Webhook-Id
+  try {
+    const event = await webhookEventService.recordEvent(store.id, {
+      webhookId: req.get('X-Shopify-Webhook-Id'),
+      topic,
+      resourceType: topic.split('/')[0],
+      resourceId: getWebhookResourceId(topic, req.body),
+      triggeredAt: req.get('X-Shopify-Triggered-At')
+    });
+
+    if (!event) {
+      console.log(`♻️ Duplicate webhook ${req.get('X-Shopify-Webhook-Id')} (${topic}) ignored for:`, shop);
+      return res.status(200).send('OK');
+    }
+
+    if (event.stale) {
+      console.log(`⏪ Out-of-order webhook ${event.webhookId} (${topic}) for ${event.resourceType} ${event.resourceId}`);
+    }
+
+    req.webhookEvent = event;
+
+    // A failed handler must not turn Shopify's retry into a "duplicate"
+    res.on('finish', () => {
+      if (res.statusCode >= 500) {
+        webhookEventService.deleteEvent(event.id).catch(err => {
+          console.error('Error releasing webhook event:', err);
+        });
+      }
+    });
+  } catch (error) {
+    // Never drop a verified webhook because bookkeeping failed
+    console.error('Error recording webhook event:', error);
+  }
+
   next();
 }
 
+/**
+ * Resource identifier used for ordering (inventory levels are per item and location)
+ */
+function getWebhookResourceId(topic, body) {
+  if (!body) return null;
+  if (topic.startsWith('inventory_levels/')) {
+    return body.inventory_item_id ? `${body.inventory_item_id}:${body.location_id}` : null;
+  }
+  return body.id ? body.id.toString() : null;
+}
+
 router.use(verifyWebhookMiddleware);
 
 /**
  * Helper to log webhook event
  */
-async function logWebhookEvent(storeId, topic, resourceId, data) {
+async function logWebhookEvent(req, topic, resourceId, data) {
   try {
     const [resourceType, action] = topic.split('/');
+    const event = req.webhookEvent;
     await syncLogService.logSync(
-      storeId,
+      req.store.id,
       null,
       `WEBHOOK_${action.toUpperCase()}`,
       resourceType,
       resourceId,
-      'received',
-      { webhook_topic: topic, data }
+      event?.stale ? 'stale' : 'received',
+      {
+        webhook_topic: topic,
+        data,
+        ...(event && {
+          webhook_id: event.webhookId,
+          triggered_at: event.triggeredAt,
+          resource_version: event.version
+        })
+      }
     );
   } catch (error) {
     console.error('Error logging webhook:', error);
   }
 }
 
+/**
+ * Helper to forward webhook event to portal subscribers
+ * (runs in the background so Shopify gets its 200 straight away)
+ */
+function forwardWebhookEvent(req, topic, payload) {
+  forwardingService.forwardEvent(req.store, topic, payload, req.webhookEvent).catch(error => {
+    console.error('Error forwarding webhook:', error);
+  });
+}
+
+/**
+ * Helper to apply webhook event to the local mirror
+ * (out-of-order events are skipped so they never overwrite newer data)
+ */
+async function mirrorWebhookEvent(req, resource, payload, { remove = false } = {}) {
+  if (req.webhookEvent?.stale && !remove) return true;
+
+  try {
+    if (remove) {
+      await mirrorService.removeRecord(req.store.id, resource, payload.id);
+    } else {
+      await mirrorService.upsertRecord(req.store.id, resource, payload);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error updating ${resource} mirror:`, error);
+    return false;
+  }
+}
+
+/**
+ * Helper to read an inventory level from the mirror (null if it isn't mirrored)
+ */
+async function getMirroredLevel(storeId, inventoryLevel) {
+  try {
+    const record = await mirrorService.getRecord(storeId, 'inventory_levels', inventoryLevel.inventory_item_id);
+    return record?.inventory_levels.find(level => String(level.location_id) === String(inventoryLevel.location_id)) || null;
+  } catch (error) {
+    console.error('Error reading mirrored inventory level:', error);
+    return null;
+  }
+}
+
 // ===== ORDER WEBHOOKS =====
 
 /**
@@ -82,12 +200,18 @@ router.post('/orders-create', async (req, res) => {
   const order = req.body;
   console.log(`📦 Order created: ${order.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'orders/create', order.id, {
+  if (!await mirrorWebhookEvent(req, 'orders', order)) {
+    return res.status(500).send('Internal server error');
+  }
+
+  await logWebhookEvent(req, 'orders/create', order.id, {
     order_number: order.order_number,
     total_price: order.total_price,
     customer: order.customer?.email
   });
 
+  forwardWebhookEvent(req, 'orders/create', order);
+
   res.status(200).send('OK');
 });
 
@@ -98,27 +222,39 @@ router.post('/orders-updated', async (req, res) => {
   const order = req.body;
   console.log(`📝 Order updated: ${order.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'orders/updated', order.id, {
+  if (!await mirrorWebhookEvent(req, 'orders', order)) {
+    return res.status(500).send('Internal server error');
+  }
+
+  await logWebhookEvent(req, 'orders/updated', order.id, {
     order_number: order.order_number,
     financial_status: order.financial_status,
     fulfillment_status: order.fulfillment_status
   });
 
+  forwardWebhookEvent(req, 'orders/updated', order);
+
   res.status(200).send('OK');
 });
 
 /**
  * POST /webhooks/orders-cancelled
  */
-router.post('/webhooks/orders-cancelled', async (req, res) => {
+router.post('/orders-cancelled', async (req, res) => {
   const order = req.body;
   console.log(`❌ Order cancelled: ${order.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'orders/cancelled', order.id, {
+  if (!await mirrorWebhookEvent(req, 'orders', order)) {
+    return res.status(500).send('Internal server error');
+  }
+
+  await logWebhookEvent(req, 'orders/cancelled', order.id, {
     order_number: order.order_number,
     cancelled_at: order.cancelled_at
   });
 
+  forwardWebhookEvent(req, 'orders/cancelled', order);
+
   res.status(200).send('OK');
 });
 
@@ -131,11 +267,17 @@ router.post('/customers-create', async (req, res) => {
   const customer = req.body;
   console.log(`👤 Customer created: ${customer.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'customers/create', customer.id, {
+  if (!await mirrorWebhookEvent(req, 'customers', customer)) {
+    return res.status(500).send('Internal server error');
+  }
+
+  await logWebhookEvent(req, 'customers/create', customer.id, {
     email: customer.email,
     name: `${customer.first_name} ${customer.last_name}`
   });
 
+  forwardWebhookEvent(req, 'customers/create', customer);
+
   res.status(200).send('OK');
 });
 
@@ -146,11 +288,17 @@ router.post('/customers-update', async (req, res) => {
   const customer = req.body;
   console.log(`👤 Customer updated: ${customer.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'customers/update', customer.id, {
+  if (!await mirrorWebhookEvent(req, 'customers', customer)) {
+    return res.status(500).send('Internal server error');
+  }
+
+  await logWebhookEvent(req, 'customers/update', customer.id, {
     email: customer.email,
     updated_at: customer.updated_at
   });
 
+  forwardWebhookEvent(req, 'customers/update', customer);
+
   res.status(200).send('OK');
 });
 
@@ -163,11 +311,19 @@ router.post('/products-create', async (req, res) => {
   const product = req.body;
   console.log(`🛍️ Product created: ${product.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'products/create', product.id, {
+  if (!await mirrorWebhookEvent(req, 'products', product)) {
+    return res.status(500).send('Internal server error');
+  }
+
+  skuIndexService.invalidate(req.store.id);
+
+  await logWebhookEvent(req, 'products/create', product.id, {
     title: product.title,
     variants_count: product.variants?.length || 0
   });
 
+  forwardWebhookEvent(req, 'products/create', product);
+
   res.status(200).send('OK');
 });
 
@@ -178,11 +334,19 @@ router.post('/products-update', async (req, res) => {
   const product = req.body;
   console.log(`🛍️ Product updated: ${product.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'products/update', product.id, {
+  if (!await mirrorWebhookEvent(req, 'products', product)) {
+    return res.status(500).send('Internal server error');
+  }
+
+  skuIndexService.invalidate(req.store.id);
+
+  await logWebhookEvent(req, 'products/update', product.id, {
     title: product.title,
     status: product.status
   });
 
+  forwardWebhookEvent(req, 'products/update', product);
+
   res.status(200).send('OK');
 });
 
@@ -193,10 +357,18 @@ router.post('/products-delete', async (req, res) => {
   const product = req.body;
   console.log(`🗑️ Product deleted: ${product.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'products/delete', product.id, {
+  if (!await mirrorWebhookEvent(req, 'products', product, { remove: true })) {
+    return res.status(500).send('Internal server error');
+  }
+
+  skuIndexService.invalidate(req.store.id);
+
+  await logWebhookEvent(req, 'products/delete', product.id, {
     title: product.title
   });
 
+  forwardWebhookEvent(req, 'products/delete', product);
+
   res.status(200).send('OK');
 });
 
@@ -209,11 +381,30 @@ router.post('/inventory_levels-update', async (req, res) => {
   const inventoryLevel = req.body;
   console.log(`📊 Inventory updated: Item ${inventoryLevel.inventory_item_id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'inventory_levels/update', inventoryLevel.inventory_item_id, {
+  // Read the mirrored level before it's overwritten, for the ledger's before value
+  const previous = req.webhookEvent?.stale ? null : await getMirroredLevel(req.store.id, inventoryLevel);
+
+  if (!await mirrorWebhookEvent(req, 'inventory_levels', inventoryLevel)) {
+    return res.status(500).send('Internal server error');
+  }
+
+  if (!req.webhookEvent?.stale) {
+    await inventoryLedgerService.recordWebhook(req.store.id, inventoryLevel, previous?.available ?? null, req.webhookEvent?.id)
+      .catch(error => console.error('Error recording inventory ledger entry:', error));
+
+    // Low-stock rules run in the background so Shopify gets its 200 straight away
+    alertService.evaluateInventoryLevel(req.store, inventoryLevel).catch(error => {
+      console.error('Error evaluating inventory alerts:', error);
+    });
+  }
+
+  await logWebhookEvent(req, 'inventory_levels/update', inventoryLevel.inventory_item_id, {
     location_id: inventoryLevel.location_id,
     available: inventoryLevel.available
   });
 
+  forwardWebhookEvent(req, 'inventory_levels/update', inventoryLevel);
+
   res.status(200).send('OK');
 });
 
@@ -226,12 +417,14 @@ router.post('/fulfillments-create', async (req, res) => {
   const fulfillment = req.body;
   console.log(`📮 Fulfillment created: ${fulfillment.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'fulfillments/create', fulfillment.id, {
+  await logWebhookEvent(req, 'fulfillments/create', fulfillment.id, {
     order_id: fulfillment.order_id,
     status: fulfillment.status,
     tracking_number: fulfillment.tracking_number
   });
 
+  forwardWebhookEvent(req, 'fulfillments/create', fulfillment);
+
   res.status(200).send('OK');
 });
 
@@ -242,11 +435,13 @@ router.post('/fulfillments-update', async (req, res) => {
   const fulfillment = req.body;
   console.log(`📮 Fulfillment updated: ${fulfillment.id} for ${req.store.shop_domain}`);
 
-  await logWebhookEvent(req.store.id, 'fulfillments/update', fulfillment.id, {
+  await logWebhookEvent(req, 'fulfillments/update', fulfillment.id, {
     order_id: fulfillment.order_id,
     status: fulfillment.status
   });
 
+  forwardWebhookEvent(req, 'fulfillments/update', fulfillment);
+
   res.status(200).send('OK');
 });
 
@@ -263,4 +458,71 @@ router.post('/app-uninstalled', async (req, res) => {
   res.status(200).send('OK');
 });
 
+// ===== COMPLIANCE (GDPR) WEBHOOKS =====
+
+/**
+ * POST /webhooks/customers-data_request
+ */
+router.post('/customers-data_request', async (req, res) => {
+  const payload = req.body;
+  console.log(`🔏 Customer data request: ${payload.customer?.id} for ${req.shopDomain}`);
+
+  try {
+    const request = await complianceService.recordDataRequest(req.store, req.shopDomain, payload);
+
+    if (req.store) {
+      await logWebhookEvent(req, 'customers/data_request', payload.customer?.id, {
+        gdpr_request_id: request.id,
+        data_request_id: payload.data_request?.id
+      });
+    }
+
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('❌ Failed to record data request:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * POST /webhooks/customers-redact
+ */
+router.post('/customers-redact', async (req, res) => {
+  const payload = req.body;
+  console.log(`🔏 Customer redact: ${payload.customer?.id} for ${req.shopDomain}`);
+
+  try {
+    const counts = await complianceService.redactCustomer(req.store, req.shopDomain, payload);
+
+    if (req.store) {
+      await logWebhookEvent(req, 'customers/redact', payload.customer?.id, {
+        orders_to_redact: payload.orders_to_redact?.length || 0,
+        redacted: counts
+      });
+    }
+
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('❌ Customer redaction failed:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * POST /webhooks/shop-redact
+ */
+router.post('/shop-redact', async (req, res) => {
+  console.log(`🔏 Shop redact for ${req.shopDomain}`);
+
+  try {
+    const counts = await complianceService.redactShop(req.store, req.shopDomain);
+    console.log(`🗑️ Purged data for ${req.shopDomain}:`, counts);
+
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('❌ Shop redaction failed:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
 module.exports = router;
@@ -10,6 +10,10 @@ const adminRoutes = require('./routes/admin');
 const apiRoutes = require('./routes/api');
 const webhookRoutes = require('./routes/webhooks');
 const graphqlRoutes = require('./routes/graphql');
+const deliveryService = require('./services/deliveryService');
+const jobService = require('./services/jobService');
+const idempotencyService = require('./services/idempotencyService');
+const reconciliationService = require('./services/reconciliationService');
 
 const app = express();
 
@@ -39,14 +43,17 @@ app.use(cors({
   origin: true,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-API-Secret']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-API-Secret', 'Idempotency-Key'],
+  exposedHeaders: ['X-Shopify-Shop-Api-Call-Limit', 'X-Shopify-GraphQL-Cost-Available', 'X-Data-Source', 'Idempotent-Replayed', 'X-Operation-Id']
 }));
 
 // Cookie parser
 app.use(cookieParser());
 
 // Body parser - with raw body capture for webhooks
+// (limit raised from the 100kb default for batch inventory syncs)
 app.use(express.json({
+  limit: '5mb',
   verify: (req, res, buf) => {
     req.rawBody = buf.toString('utf8');
   }
@@ -129,16 +136,40 @@ app.listen(PORT, () => {
   console.log('');
   console.log('✅ Ready to accept connections!');
   console.log('');
+
+  // Retry forwarded webhook deliveries in the background
+  deliveryService.startWorker();
+
+  // Jobs run in-process, so unfinished jobs that stopped updating died with their process
+  jobService.failInterruptedJobs().catch(error => {
+    console.error('Error failing interrupted jobs:', error);
+  });
+
+  // Likewise for requests that held an Idempotency-Key, so their retries can run
+  // (only keys older than any request could take, as other instances may still be running theirs)
+  idempotencyService.releaseInterruptedKeys().catch(error => {
+    console.error('Error releasing interrupted idempotency keys:', error);
+  });
+  idempotencyService.startCleanup();
+
+  // Reconciliations left applying can be applied again (their corrections are compare-and-set)
+  reconciliationService.releaseInterruptedApplies().catch(error => {
+    console.error('Error releasing interrupted reconciliations:', error);
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  deliveryService.stopWorker();
+  idempotencyService.stopCleanup();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
+  deliveryService.stopWorker();
+  idempotencyService.stopCleanup();
   process.exit(0);
 });
 
@@ -0,0 +1,261 @@
+const pool = require('../database/db');
+const notificationService = require('./notificationService');
+const skuIndexService = require('./skuIndexService');
+
+const CHANNELS = ['slack', 'email'];
+
+// Stock states in order of severity; an alert fires when an item moves to a worse one
+const SEVERITY = { ok: 0, low: 1, out: 2 };
+const RULE_FIELDS = ['name', 'inventory_item_id', 'sku', 'location_id', 'threshold', 'channels', 'slack_webhook_url', 'notify_email', 'is_active'];
+
+class AlertService {
+  /**
+   * Get a store's alert rules
+   */
+  async getRules(storeId) {
+    const result = await pool.query('SELECT * FROM alert_rules WHERE store_id = $1 ORDER BY created_at DESC', [storeId]);
+    return result.rows;
+  }
+
+  /**
+   * Get one alert rule of a store
+   */
+  async getRule(ruleId, storeId) {
+    const result = await pool.query('SELECT * FROM alert_rules WHERE id = $1 AND store_id = $2', [ruleId, storeId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Validate rule fields (returns an error message, or null when valid)
+   */
+  validateRule(fields, { partial = false } = {}) {
+    const isInteger = value => Number.isInteger(Number(value)) && value !== '' && value !== null;
+
+    if (!partial || fields.threshold !== undefined) {
+      if (!isInteger(fields.threshold)) return 'threshold must be an integer';
+    }
+
+    for (const field of ['inventory_item_id', 'location_id']) {
+      if (fields[field] !== undefined && fields[field] !== null && !/^\d+$/.test(String(fields[field]))) {
+        return `${field} must be numeric`;
+      }
+    }
+
+    if (fields.channels !== undefined) {
+      if (!Array.isArray(fields.channels) || fields.channels.length === 0 || fields.channels.some(channel => !CHANNELS.includes(channel))) {
+        return `channels must be a non-empty list of: ${CHANNELS.join(', ')}`;
+      }
+    }
+
+    if (fields.slack_webhook_url && !/^https:\/\//.test(fields.slack_webhook_url)) {
+      return 'slack_webhook_url must be an https URL';
+    }
+
+    return null;
+  }
+
+  /**
+   * Create an alert rule
+   * (no inventory_item_id means every item; no location_id means every location)
+   */
+  async createRule(storeId, fields) {
+    const query = `
+      INSERT INTO alert_rules (store_id, name, inventory_item_id, sku, location_id, threshold, channels, slack_webhook_url, notify_email)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+      storeId,
+      fields.name || null,
+      fields.inventory_item_id || null,
+      fields.sku || null,
+      fields.location_id || null,
+      parseInt(fields.threshold),
+      JSON.stringify(fields.channels || CHANNELS),
+      fields.slack_webhook_url || null,
+      fields.notify_email || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update the given fields of an alert rule
+   * (a changed rule starts from a clean state, so it can fire again)
+   */
+  async updateRule(ruleId, storeId, fields) {
+    const updates = RULE_FIELDS.filter(field => fields[field] !== undefined);
+    if (updates.length === 0) return this.getRule(ruleId, storeId);
+
+    const values = updates.map(field => (field === 'channels' ? JSON.stringify(fields[field]) : fields[field]));
+    const assignments = updates.map((field, i) => `${field} = $${i + 3}`);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE alert_rules
+        SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND store_id = $2
+        RETURNING *
+      `, [ruleId, storeId, ...values]);
+
+      if (result.rows.length > 0) {
+        await client.query('DELETE FROM alert_states WHERE rule_id = $1', [ruleId]);
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete an alert rule
+   */
+  async deleteRule(ruleId, storeId) {
+    const result = await pool.query('DELETE FROM alert_rules WHERE id = $1 AND store_id = $2', [ruleId, storeId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Items currently low or out of stock under a rule
+   */
+  async getTriggeredStates(ruleId) {
+    const query = `
+      SELECT inventory_item_id, location_id, state, last_available, triggered_at
+      FROM alert_states
+      WHERE rule_id = $1 AND state <> 'ok'
+      ORDER BY triggered_at DESC
+    `;
+
+    const result = await pool.query(query, [ruleId]);
+    return result.rows;
+  }
+
+  /**
+   * The most specific active rule for an item at a location
+   * (item and location > item > location > store-wide; newest wins a tie)
+   */
+  async findRule(storeId, inventoryItemId, locationId) {
+    const query = `
+      SELECT * FROM alert_rules
+      WHERE store_id = $1 AND is_active = true
+        AND (inventory_item_id IS NULL OR inventory_item_id = $2)
+        AND (location_id IS NULL OR location_id = $3)
+      ORDER BY (inventory_item_id IS NOT NULL) DESC, (location_id IS NOT NULL) DESC, id DESC
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [storeId, inventoryItemId, locationId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record the stock state ('ok', 'low' or 'out') a rule sees for an item/location.
+   * Returns the previous state, so alerts fire on transitions rather than on every webhook.
+   */
+  async setState(ruleId, inventoryItemId, locationId, state, available) {
+    const query = `
+      WITH previous AS (
+        SELECT state FROM alert_states
+        WHERE rule_id = $1 AND inventory_item_id = $2 AND location_id = $3
+        FOR UPDATE
+      )
+      INSERT INTO alert_states (rule_id, inventory_item_id, location_id, state, last_available, triggered_at)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $4 <> 'ok' THEN CURRENT_TIMESTAMP END)
+      ON CONFLICT (rule_id, inventory_item_id, location_id)
+      DO UPDATE SET
+        state = EXCLUDED.state,
+        last_available = EXCLUDED.last_available,
+        triggered_at = CASE WHEN EXCLUDED.state <> alert_states.state AND EXCLUDED.state <> 'ok'
+          THEN CURRENT_TIMESTAMP ELSE alert_states.triggered_at END,
+        resolved_at = CASE WHEN alert_states.state <> 'ok' AND EXCLUDED.state = 'ok'
+          THEN CURRENT_TIMESTAMP ELSE alert_states.resolved_at END,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING (SELECT state FROM previous) AS previous_state
+    `;
+
+    const result = await pool.query(query, [ruleId, inventoryItemId, locationId, state, available]);
+    return result.rows[0].previous_state || 'ok';
+  }
+
+  /**
+   * Evaluate an inventory level (from an inventory_levels/update webhook) against the store's rules.
+   * An alert is sent when an item becomes low (at or below the threshold) or out of stock.
+   */
+  async evaluateInventoryLevel(store, inventoryLevel) {
+    const { inventory_item_id, location_id, available } = inventoryLevel;
+    if (available === null || available === undefined) return null;
+
+    const rule = await this.findRule(store.id, inventory_item_id, location_id);
+    if (!rule) return null;
+
+    const state = available <= 0 ? 'out' : available <= rule.threshold ? 'low' : 'ok';
+    const previousState = await this.setState(rule.id, inventory_item_id, location_id, state, available);
+    const notified = SEVERITY[state] > SEVERITY[previousState];
+
+    if (notified) {
+      await this.notify(store, rule, inventoryLevel);
+    }
+
+    return { rule_id: rule.id, state, notified };
+  }
+
+  /**
+   * Send a low/out-of-stock alert over the rule's channels
+   */
+  async notify(store, rule, inventoryLevel) {
+    const { inventory_item_id, location_id, available } = inventoryLevel;
+    const status = available <= 0 ? 'Out of stock' : 'Low stock';
+
+    // Name the variant when the SKU index can (alerts still go out with bare IDs otherwise)
+    const variant = await skuIndexService.findByItem(store.id, store.shop_domain, store.access_token, inventory_item_id)
+      .catch(error => {
+        console.error('Error looking up variant for alert:', error.message);
+        return null;
+      });
+
+    const item = variant
+      ? `${variant.product_title}${variant.variant_title && variant.variant_title !== 'Default Title' ? ` - ${variant.variant_title}` : ''}${variant.sku ? ` (SKU ${variant.sku})` : ''}`
+      : `Inventory item ${inventory_item_id}`;
+
+    console.log(`🔔 ${status} alert for ${store.shop_domain}: ${item} at location ${location_id} (${available} <= ${rule.threshold})`);
+
+    if (rule.channels.includes('slack')) {
+      await notificationService.sendSlack({
+        text: `🔔 *${status}: ${item}*`,
+        attachments: [
+          {
+            color: available <= 0 ? '#d72c0d' : '#ffc453',
+            fields: [
+              { title: 'Store', value: store.shop_domain, short: true },
+              { title: 'Location', value: String(location_id), short: true },
+              { title: 'Available', value: String(available), short: true },
+              { title: 'Threshold', value: String(rule.threshold), short: true },
+              ...(rule.name ? [{ title: 'Rule', value: rule.name, short: false }] : [])
+            ],
+            footer: 'Shopify Data Sync App',
+            ts: Math.floor(Date.now() / 1000)
+          }
+        ]
+      }, rule.slack_webhook_url || undefined);
+    }
+
+    if (rule.channels.includes('email')) {
+      await notificationService.sendEmail({
+        to: rule.notify_email || undefined,
+        subject: `[${status}] ${item}`,
+        text: `Store: ${store.shop_domain}\nItem: ${item}\nLocation: ${location_id}\nAvailable: ${available}\nThreshold: ${rule.threshold}${rule.name ? `\nRule: ${rule.name}` : ''}`
+      });
+    }
+  }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,169 @@
+const axios = require('axios');
+const readline = require('readline');
+const config = require('../config');
+const { ShopifyAPI } = require('../utils/shopify');
+const { BULK_QUERIES, createRecordAssembler } = require('../utils/bulkOperations');
+const jobService = require('./jobService');
+const mirrorService = require('./mirrorService');
+
+const JOB_TYPE = 'bulk_backfill';
+const BULK_RESOURCES = ['products', 'inventory_levels', 'customers', 'orders'];
+const FINISHED_STATUSES = ['FAILED', 'CANCELED', 'EXPIRED'];
+const PROGRESS_EVERY = 1000;
+
+class BulkSyncService {
+  /**
+   * Resources that can be backfilled with a bulk operation
+   */
+  getResources() {
+    return BULK_RESOURCES;
+  }
+
+  /**
+   * Create a bulk backfill job for a store and run it in the background.
+   * Shopify allows one bulk query per shop at a time, so resources run one after another.
+   */
+  async startBackfill(store, apiKeyId = null, resources = BULK_RESOURCES) {
+    // A job whose process died would otherwise block new backfills until the next restart
+    await jobService.failInterruptedJobs();
+    const active = await jobService.getActiveJob(store.id, JOB_TYPE);
+
+    if (active || mirrorService.isBackfilling(store.id)) {
+      const error = new Error('A backfill is already running for this store');
+      error.status = 409;
+      error.jobId = active?.id;
+      throw error;
+    }
+
+    const ordered = BULK_RESOURCES.filter(resource => resources.includes(resource));
+    const job = await jobService.createJob(store.id, apiKeyId, JOB_TYPE, ordered);
+
+    this.runJob(job, store).catch(error => {
+      console.error(`❌ Bulk backfill job ${job.id} crashed:`, error);
+      jobService.updateStatus(job.id, 'failed', { error: error.message }).catch(() => {});
+    });
+
+    return job;
+  }
+
+  /**
+   * Run each resource of a job through a bulk operation into the mirror
+   */
+  async runJob(job, store) {
+    if (!mirrorService.beginBackfill(store.id)) {
+      await jobService.updateStatus(job.id, 'failed', { error: 'Another backfill is already running for this store' });
+      return;
+    }
+
+    const shopify = new ShopifyAPI(store.shop_domain, store.access_token);
+    const failed = [];
+
+    try {
+      await jobService.updateStatus(job.id, 'running');
+
+      for (const resource of job.resources) {
+        try {
+          const count = await this.backfillResource(job.id, shopify, store.id, resource);
+          console.log(`🪞 Bulk mirrored ${count} ${resource} for ${store.shop_domain}`);
+        } catch (error) {
+          const message = error.shopifyMessage || error.message;
+          console.error(`❌ Bulk backfill of ${resource} failed for ${store.shop_domain}:`, message);
+
+          failed.push(resource);
+          await jobService.updateProgress(job.id, resource, { status: 'failed', error: message });
+          await mirrorService.setSyncState(store.id, resource, 'failed', { error: message });
+        }
+      }
+
+      await jobService.updateStatus(
+        job.id,
+        failed.length > 0 ? 'failed' : 'completed',
+        failed.length > 0 ? { error: `Failed resources: ${failed.join(', ')}` } : {}
+      );
+    } finally {
+      mirrorService.endBackfill(store.id);
+    }
+  }
+
+  /**
+   * Start a bulk query, wait for it, then stream its results into the mirror
+   */
+  async backfillResource(jobId, shopify, storeId, resource) {
+    await mirrorService.setSyncState(storeId, resource, 'running');
+    await jobService.updateProgress(jobId, resource, { status: 'running' });
+
+    const started = await shopify.runBulkQuery(BULK_QUERIES[resource]);
+    await jobService.updateStatus(jobId, 'running', { bulkOperationId: started.id });
+
+    const operation = await this.waitForOperation(jobId, shopify, started.id);
+    await jobService.updateProgress(jobId, resource, {
+      status: 'loading',
+      object_count: parseInt(operation.objectCount) || 0
+    });
+
+    // A bulk operation with no results has no file
+    const loaded = operation.url
+      ? await this.loadResults(operation.url, storeId, resource, count =>
+        jobService.updateProgress(jobId, resource, { records_loaded: count }))
+      : 0;
+
+    const removed = await mirrorService.sweepStale(storeId, resource);
+    await mirrorService.setSyncState(storeId, resource, 'completed', { recordCount: loaded });
+    await jobService.updateProgress(jobId, resource, {
+      status: 'completed',
+      records_loaded: loaded,
+      records_removed: removed
+    });
+
+    return loaded;
+  }
+
+  /**
+   * Poll a bulk operation until it finishes, keeping the job's heartbeat up
+   */
+  async waitForOperation(jobId, shopify, operationId) {
+    while (true) {
+      const operation = await shopify.getBulkOperation(operationId);
+      await jobService.touchJob(jobId);
+
+      if (operation.status === 'COMPLETED') {
+        return operation;
+      }
+
+      if (FINISHED_STATUSES.includes(operation.status)) {
+        throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, config.bulk.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Stream a bulk operation's JSONL file line by line into the mirror
+   */
+  async loadResults(url, storeId, resource, onProgress) {
+    const response = await axios.get(url, { responseType: 'stream' });
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+    let count = 0;
+
+    const assembler = createRecordAssembler(resource, async record => {
+      await mirrorService.upsertRecord(storeId, resource, record);
+      count++;
+
+      if (count % PROGRESS_EVERY === 0) {
+        await onProgress(count);
+      }
+    });
+
+    for await (const line of lines) {
+      if (line.trim()) {
+        await assembler.push(JSON.parse(line));
+      }
+    }
+
+    await assembler.flush();
+    return count;
+  }
+}
+
+module.exports = new BulkSyncService();
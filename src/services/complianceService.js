@@ -0,0 +1,242 @@
+const pool = require('../database/db');
+
+const REDACTED = JSON.stringify({ redacted: true });
+
+/**
+ * ILIKE pattern for text containing a value, with the value's own \, % and _ taken literally
+ * (john_doe@x.com must not match johnXdoe@x.com)
+ */
+function containsPattern(value) {
+  return value ? `%${value.replace(/[\\%_]/g, '\\$&')}%` : null;
+}
+
+class ComplianceService {
+  /**
+   * Record a customers/data_request so its fulfillment can be tracked
+   */
+  async recordDataRequest(store, shopDomain, payload) {
+    const query = `
+      INSERT INTO gdpr_requests
+        (store_id, shop_domain, topic, shopify_request_id, customer_id, customer_email, orders_requested)
+      VALUES ($1, $2, 'customers/data_request', $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+      store?.id || null,
+      shopDomain,
+      payload.data_request?.id?.toString() || null,
+      payload.customer?.id?.toString() || null,
+      payload.customer?.email || null,
+      JSON.stringify(payload.orders_requested || [])
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Scrub a customer's PII from everything the app keeps about a store
+   */
+  async redactCustomer(store, shopDomain, payload) {
+    const customerId = payload.customer?.id?.toString() || null;
+    const email = payload.customer?.email || null;
+    const orderIds = (payload.orders_to_redact || []).map(id => id.toString());
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const request = await client.query(`
+        INSERT INTO gdpr_requests (store_id, shop_domain, topic, customer_id, orders_requested)
+        VALUES ($1, $2, 'customers/redact', $3, $4)
+        RETURNING id
+      `, [store?.id || null, shopDomain, customerId, JSON.stringify(orderIds)]);
+
+      const counts = { sync_logs: 0, deliveries: 0, dead_letters: 0, idempotency_keys: 0, mirror_customers: 0, mirror_orders: 0 };
+
+      if (store) {
+        const logs = await client.query(`
+          UPDATE sync_logs SET details = $5::JSONB
+          WHERE store_id = $1 AND (
+            (resource_type IN ('customers', 'customer') AND resource_id = $2)
+            OR (resource_type IN ('orders', 'order') AND resource_id = ANY($3::VARCHAR[]))
+            OR ($4::VARCHAR IS NOT NULL AND details::TEXT ILIKE $4 ESCAPE '\\')
+          )
+        `, [store.id, customerId, orderIds, containsPattern(email), REDACTED]);
+        counts.sync_logs = logs.rowCount;
+
+        for (const table of ['webhook_deliveries', 'webhook_dead_letters']) {
+          const scrubbed = await client.query(`
+            UPDATE ${table} SET payload = $5::JSONB
+            WHERE store_id = $1 AND (
+              (topic LIKE 'customers/%' AND payload->>'id' = $2)
+              OR (topic LIKE 'orders/%' AND payload->>'id' = ANY($3::VARCHAR[]))
+              OR payload->'customer'->>'id' = $2
+              OR LOWER(payload->>'email') = LOWER($4::VARCHAR)
+              OR LOWER(payload->>'contact_email') = LOWER($4)
+              OR LOWER(payload->'customer'->>'email') = LOWER($4)
+            )
+          `, [store.id, customerId, orderIds, email, REDACTED]);
+          counts[table === 'webhook_deliveries' ? 'deliveries' : 'dead_letters'] = scrubbed.rowCount;
+        }
+
+        // Stored responses replayed for Idempotency-Key retries hold whole customer and order records
+        const ids = [customerId, ...orderIds].filter(Boolean);
+        counts.idempotency_keys = (await client.query(`
+          UPDATE idempotency_keys SET response_body = $4::JSONB
+          WHERE store_id = $1 AND response_body IS NOT NULL AND (
+            jsonb_path_exists(response_body, '$.** ? (@.id == $ids[*])', jsonb_build_object('ids', to_jsonb($2::NUMERIC[])))
+            OR ($3::VARCHAR IS NOT NULL AND response_body::TEXT ILIKE $3 ESCAPE '\\')
+          )
+        `, [store.id, ids, containsPattern(email), REDACTED])).rowCount;
+
+        if (customerId) {
+          counts.mirror_customers = (await client.query(
+            'DELETE FROM mirror_customers WHERE store_id = $1 AND shopify_id = $2',
+            [store.id, customerId]
+          )).rowCount;
+        }
+
+        counts.mirror_orders = (await client.query(
+          'DELETE FROM mirror_orders WHERE store_id = $1 AND shopify_id = ANY($2::BIGINT[])',
+          [store.id, orderIds]
+        )).rowCount;
+      }
+
+      await client.query(`
+        UPDATE gdpr_requests
+        SET status = 'completed', completed_at = CURRENT_TIMESTAMP, details = $2
+        WHERE id = $1
+      `, [request.rows[0].id, JSON.stringify({ redacted: counts })]);
+
+      await client.query('COMMIT');
+      return counts;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Purge all data held for a shop (48 hours after uninstall)
+   */
+  async redactShop(store, shopDomain) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const request = await client.query(`
+        INSERT INTO gdpr_requests (store_id, shop_domain, topic)
+        VALUES ($1, $2, 'shop/redact')
+        RETURNING id
+      `, [store?.id || null, shopDomain]);
+
+      const counts = { sync_logs: 0, webhooks: 0, api_keys: 0, stores: 0 };
+
+      if (store) {
+        counts.sync_logs = (await client.query('DELETE FROM sync_logs WHERE store_id = $1', [store.id])).rowCount;
+        counts.webhooks = (await client.query('DELETE FROM webhooks WHERE store_id = $1', [store.id])).rowCount;
+        counts.api_keys = (await client.query('DELETE FROM api_keys WHERE store_id = $1', [store.id])).rowCount;
+        // Remaining per-store tables cascade from the store row
+        counts.stores = (await client.query('DELETE FROM stores WHERE id = $1', [store.id])).rowCount;
+
+        // The request record outlives the store as proof of fulfillment
+        await client.query('UPDATE gdpr_requests SET customer_email = NULL WHERE shop_domain = $1', [shopDomain]);
+      }
+
+      await client.query(`
+        UPDATE gdpr_requests
+        SET status = 'completed', completed_at = CURRENT_TIMESTAMP, details = $2
+        WHERE id = $1
+      `, [request.rows[0].id, JSON.stringify({ deleted: counts })]);
+
+      await client.query('COMMIT');
+      return counts;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get GDPR requests for a store
+   */
+  async getRequestsByStore(storeId, limit = 100, offset = 0) {
+    const query = `
+      SELECT * FROM gdpr_requests
+      WHERE store_id = $1
+      ORDER BY received_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [storeId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get a single GDPR request for a store
+   */
+  async getRequest(requestId, storeId) {
+    const query = 'SELECT * FROM gdpr_requests WHERE id = $1 AND store_id = $2';
+    const result = await pool.query(query, [requestId, storeId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Collect the customer data the app holds for a data request
+   */
+  async exportCustomerData(request) {
+    const orderIds = (request.orders_requested || []).map(id => id.toString());
+
+    const query = `
+      SELECT action, resource_type, resource_id, status, details, created_at
+      FROM sync_logs
+      WHERE store_id = $1 AND (
+        (resource_type IN ('customers', 'customer') AND resource_id = $2)
+        OR (resource_type IN ('orders', 'order') AND resource_id = ANY($3::VARCHAR[]))
+        OR ($4::VARCHAR IS NOT NULL AND details::TEXT ILIKE $4 ESCAPE '\\')
+      )
+      ORDER BY created_at
+    `;
+
+    const result = await pool.query(query, [request.store_id, request.customer_id, orderIds, containsPattern(request.customer_email)]);
+
+    const customer = await pool.query(
+      'SELECT data FROM mirror_customers WHERE store_id = $1 AND shopify_id = $2',
+      [request.store_id, request.customer_id]
+    );
+    const orders = await pool.query(
+      'SELECT data FROM mirror_orders WHERE store_id = $1 AND shopify_id = ANY($2::BIGINT[]) ORDER BY shopify_id',
+      [request.store_id, orderIds]
+    );
+
+    return {
+      customer: customer.rows[0]?.data || null,
+      orders: orders.rows.map(row => row.data),
+      sync_logs: result.rows
+    };
+  }
+
+  /**
+   * Mark a data request as fulfilled
+   */
+  async fulfillRequest(requestId, storeId, notes = null) {
+    const query = `
+      UPDATE gdpr_requests
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP,
+          details = COALESCE(details, '{}'::JSONB) || $3::JSONB
+      WHERE id = $1 AND store_id = $2 AND topic = 'customers/data_request'
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [requestId, storeId, JSON.stringify({ notes })]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new ComplianceService();
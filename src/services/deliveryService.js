@@ -0,0 +1,305 @@
+const axios = require('axios');
+const pool = require('../database/db');
+const config = require('../config');
+const { decrypt, signPayload } = require('../utils/crypto');
+
+class DeliveryService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Queue a payload for delivery to a subscription
+   */
+  async enqueue(storeId, subscriptionId, topic, payload, eventId = null) {
+    const query = `
+      INSERT INTO webhook_deliveries (store_id, subscription_id, topic, payload, event_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [storeId, subscriptionId, topic, JSON.stringify(payload), eventId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Claim due deliveries and attempt each of them once
+   */
+  async processDueDeliveries() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    try {
+      // Deliveries stuck in 'processing' (e.g. after a crash) are picked up again
+      const query = `
+        UPDATE webhook_deliveries
+        SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM webhook_deliveries
+          WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+             OR (status = 'processing' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '5 minutes')
+          ORDER BY next_attempt_at
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id
+      `;
+
+      const result = await pool.query(query, [config.deliveries.batchSize]);
+
+      for (const row of result.rows) {
+        await this.attemptDelivery(row.id);
+      }
+
+      return result.rows.length;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Attempt a single delivery and record the outcome
+   */
+  async attemptDelivery(deliveryId) {
+    const query = `
+      SELECT wd.*, ws.url, ws.is_active AS subscription_active,
+             ak.api_secret, ak.is_active AS key_active, s.shop_domain,
+             we.webhook_id, we.triggered_at, we.is_stale, we.resource_version
+      FROM webhook_deliveries wd
+      JOIN webhook_subscriptions ws ON wd.subscription_id = ws.id
+      JOIN api_keys ak ON ws.api_key_id = ak.id
+      JOIN stores s ON wd.store_id = s.id
+      LEFT JOIN webhook_events we ON wd.event_id = we.id
+      WHERE wd.id = $1
+    `;
+
+    const result = await pool.query(query, [deliveryId]);
+    const delivery = result.rows[0];
+
+    if (!delivery) return null;
+
+    if (!delivery.subscription_active || !delivery.key_active) {
+      return this.deadLetter(delivery, delivery.attempts, null, 'Subscription or API key is no longer active');
+    }
+
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ShopifyDataSyncApp/1.0.0 (Node.js)',
+      'X-Sync-Topic': delivery.topic,
+      'X-Sync-Shop-Domain': delivery.shop_domain,
+      'X-Sync-Subscription-Id': delivery.subscription_id,
+      'X-Sync-Delivery-Id': delivery.id,
+      'X-Sync-Attempt': attempts,
+      'X-Sync-Hmac-SHA256': signPayload(decrypt(delivery.api_secret), body)
+    };
+
+    // Ordering metadata so subscribers can discard stale updates
+    if (delivery.event_id) {
+      headers['X-Sync-Event-Id'] = delivery.event_id;
+      headers['X-Sync-Stale'] = delivery.is_stale ? 'true' : 'false';
+      if (delivery.webhook_id) headers['X-Sync-Webhook-Id'] = delivery.webhook_id;
+      if (delivery.triggered_at) headers['X-Sync-Triggered-At'] = new Date(delivery.triggered_at).toISOString();
+      if (delivery.resource_version) headers['X-Sync-Resource-Version'] = delivery.resource_version;
+    }
+
+    try {
+      const response = await axios({
+        method: 'POST',
+        url: delivery.url,
+        data: body,
+        timeout: 10000,
+        headers
+      });
+
+      await pool.query(`
+        UPDATE webhook_deliveries
+        SET status = 'delivered', attempts = $2, last_status_code = $3, last_error = NULL,
+            delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [delivery.id, attempts, response.status]);
+
+      console.log(`📤 Delivered ${delivery.topic} to ${delivery.url} (attempt ${attempts})`);
+      return 'delivered';
+    } catch (error) {
+      const statusCode = error.response?.status || null;
+      console.error(`❌ Delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempts}):`, error.message);
+
+      if (attempts >= config.deliveries.maxAttempts) {
+        return this.deadLetter(delivery, attempts, statusCode, error.message);
+      }
+
+      await pool.query(`
+        UPDATE webhook_deliveries
+        SET status = 'pending', attempts = $2, last_status_code = $3, last_error = $4,
+            next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $5),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [delivery.id, attempts, statusCode, error.message, this.getBackoffSeconds(attempts)]);
+
+      return 'pending';
+    }
+  }
+
+  /**
+   * Exponential backoff: base * 2^(attempts - 1), capped
+   */
+  getBackoffSeconds(attempts) {
+    const { baseBackoffSeconds, maxBackoffSeconds } = config.deliveries;
+    return Math.min(baseBackoffSeconds * Math.pow(2, attempts - 1), maxBackoffSeconds);
+  }
+
+  /**
+   * Move a delivery to the dead-letter store
+   */
+  async deadLetter(delivery, attempts, statusCode, errorMessage) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE webhook_deliveries
+        SET status = 'dead', attempts = $2, last_status_code = $3, last_error = $4,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [delivery.id, attempts, statusCode, errorMessage]);
+
+      await client.query(`
+        INSERT INTO webhook_dead_letters
+          (delivery_id, store_id, subscription_id, topic, url, payload, attempts, last_status_code, last_error)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        delivery.id,
+        delivery.store_id,
+        delivery.subscription_id,
+        delivery.topic,
+        delivery.url,
+        JSON.stringify(delivery.payload),
+        attempts,
+        statusCode,
+        errorMessage
+      ]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.error(`☠️ Delivery ${delivery.id} moved to dead letters after ${attempts} attempts`);
+    return 'dead';
+  }
+
+  /**
+   * Get deliveries for a store
+   */
+  async getDeliveriesByStore(storeId, status = null, limit = 100, offset = 0) {
+    const query = `
+      SELECT wd.id, wd.subscription_id, ws.url, wd.topic, wd.status, wd.attempts,
+             wd.next_attempt_at, wd.last_status_code, wd.last_error,
+             wd.created_at, wd.delivered_at
+      FROM webhook_deliveries wd
+      JOIN webhook_subscriptions ws ON wd.subscription_id = ws.id
+      WHERE wd.store_id = $1 AND ($2::VARCHAR IS NULL OR wd.status = $2)
+      ORDER BY wd.created_at DESC
+      LIMIT $3 OFFSET $4
+    `;
+
+    const result = await pool.query(query, [storeId, status, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get dead letters for a store
+   */
+  async getDeadLettersByStore(storeId, limit = 100, offset = 0) {
+    const query = `
+      SELECT * FROM webhook_dead_letters
+      WHERE store_id = $1
+      ORDER BY failed_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [storeId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Put a dead-lettered delivery back on the queue
+   */
+  async redriveDeadLetter(deadLetterId, storeId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'SELECT * FROM webhook_dead_letters WHERE id = $1 AND store_id = $2 FOR UPDATE',
+        [deadLetterId, storeId]
+      );
+      const deadLetter = result.rows[0];
+
+      if (!deadLetter) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (!deadLetter.delivery_id || !deadLetter.subscription_id) {
+        const error = new Error('The subscription for this delivery no longer exists');
+        error.status = 409;
+        throw error;
+      }
+
+      await client.query(`
+        UPDATE webhook_deliveries
+        SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+            last_error = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [deadLetter.delivery_id]);
+
+      const updated = await client.query(
+        'UPDATE webhook_dead_letters SET redriven_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+        [deadLetter.id]
+      );
+
+      await client.query('COMMIT');
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Start polling the queue for due deliveries
+   */
+  startWorker() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDueDeliveries().catch(error => {
+        console.error('Delivery worker error:', error);
+      });
+    }, config.deliveries.pollIntervalMs);
+
+    console.log('📬 Delivery worker started');
+  }
+
+  /**
+   * Stop polling the queue
+   */
+  stopWorker() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new DeliveryService();
@@ -0,0 +1,27 @@
+const subscriptionService = require('./subscriptionService');
+const deliveryService = require('./deliveryService');
+
+class ForwardingService {
+  /**
+   * Re-deliver a verified Shopify webhook to every portal subscribed to its topic
+   */
+  async forwardEvent(store, topic, payload, event = null) {
+    const subscriptions = await subscriptionService.getActiveSubscriptionsForTopic(store.id, topic);
+
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    // Persist first so nothing is lost if the portal is down, then try right away
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      deliveries.push(await deliveryService.enqueue(store.id, subscription.id, topic, payload, event?.id));
+    }
+
+    await deliveryService.processDueDeliveries();
+
+    return deliveries;
+  }
+}
+
+module.exports = new ForwardingService();
@@ -0,0 +1,117 @@
+const pool = require('../database/db');
+const config = require('../config');
+
+class IdempotencyService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Claim an idempotency key for a request.
+   * Returns { record, claimed }: claimed is false when the key is already in use (or done) and
+   * record is then the existing one. An expired key, or one left processing by a request that
+   * died, is claimed again as if it were new.
+   */
+  async claimKey(storeId, apiKeyId, key, { method, path, requestHash }) {
+    const query = `
+      INSERT INTO idempotency_keys (store_id, api_key_id, idempotency_key, method, path, request_hash, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + $7::INTEGER * INTERVAL '1 millisecond')
+      ON CONFLICT (api_key_id, idempotency_key) DO UPDATE SET
+        method = EXCLUDED.method,
+        path = EXCLUDED.path,
+        request_hash = EXCLUDED.request_hash,
+        status = 'processing',
+        response_status = NULL,
+        response_body = NULL,
+        created_at = CURRENT_TIMESTAMP,
+        expires_at = EXCLUDED.expires_at
+      WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP OR (
+        idempotency_keys.status = 'processing' AND
+        idempotency_keys.created_at < CURRENT_TIMESTAMP - $8::INTEGER * INTERVAL '1 millisecond'
+      )
+      RETURNING *
+    `;
+
+    const { ttlMs, processingTimeoutMs } = config.idempotency;
+    const result = await pool.query(query, [storeId, apiKeyId, key, method, path, requestHash, ttlMs, processingTimeoutMs]);
+    if (result.rows.length > 0) {
+      return { record: result.rows[0], claimed: true };
+    }
+
+    const existing = await pool.query(
+      'SELECT * FROM idempotency_keys WHERE api_key_id = $1 AND idempotency_key = $2',
+      [apiKeyId, key]
+    );
+
+    // Released between the two queries, so it can be claimed after all
+    if (existing.rows.length === 0) {
+      return this.claimKey(storeId, apiKeyId, key, { method, path, requestHash });
+    }
+    return { record: existing.rows[0], claimed: false };
+  }
+
+  /**
+   * Store the response of a claimed key for replay
+   */
+  async completeKey(recordId, responseStatus, responseBody) {
+    const query = `
+      UPDATE idempotency_keys
+      SET status = 'completed', response_status = $2, response_body = $3
+      WHERE id = $1
+    `;
+
+    await pool.query(query, [recordId, responseStatus, JSON.stringify(responseBody ?? null)]);
+  }
+
+  /**
+   * Give up a claimed key (the request failed in a way worth retrying)
+   */
+  async releaseKey(recordId) {
+    await pool.query('DELETE FROM idempotency_keys WHERE id = $1', [recordId]);
+  }
+
+  /**
+   * Release keys left processing by a previous process (requests run in-process, so they died with it).
+   * Keys younger than the processing timeout are kept: another instance may still be running them.
+   */
+  async releaseInterruptedKeys() {
+    const query = `
+      DELETE FROM idempotency_keys
+      WHERE status = 'processing' AND created_at < CURRENT_TIMESTAMP - $1::INTEGER * INTERVAL '1 millisecond'
+    `;
+
+    const result = await pool.query(query, [config.idempotency.processingTimeoutMs]);
+    return result.rowCount;
+  }
+
+  /**
+   * Delete expired keys
+   */
+  async purgeExpiredKeys() {
+    const result = await pool.query('DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
+
+  /**
+   * Start purging expired keys periodically
+   */
+  startCleanup() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.purgeExpiredKeys().catch(error => {
+        console.error('Idempotency key cleanup error:', error);
+      });
+    }, config.idempotency.cleanupIntervalMs);
+  }
+
+  /**
+   * Stop purging expired keys
+   */
+  stopCleanup() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,85 @@
+const pool = require('../database/db');
+
+class InventoryLedgerService {
+  /**
+   * Record quantity changes made by the app (one row per item, location and quantity name)
+   */
+  async recordChanges(storeId, apiKeyId, changes, { reason = null, referenceDocumentUri = null } = {}) {
+    if (changes.length === 0) return 0;
+
+    const query = `
+      INSERT INTO inventory_ledger (
+        store_id, api_key_id, source, reason, reference_document_uri,
+        inventory_item_id, location_id, quantity_name, quantity_before, quantity_after, delta
+      )
+      SELECT $1, $2, 'api', $3, $4, item_id, location_id, quantity_name, quantity_after - delta, quantity_after, delta
+      FROM unnest($5::BIGINT[], $6::BIGINT[], $7::TEXT[], $8::INTEGER[], $9::INTEGER[])
+        AS change(item_id, location_id, quantity_name, delta, quantity_after)
+    `;
+
+    const result = await pool.query(query, [
+      storeId,
+      apiKeyId,
+      reason,
+      referenceDocumentUri,
+      changes.map(change => change.inventory_item_id),
+      changes.map(change => change.location_id),
+      changes.map(change => change.quantity_name),
+      changes.map(change => change.delta ?? null),
+      changes.map(change => change.quantity_after ?? null)
+    ]);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Record an inventory_levels/update webhook
+   * (previousAvailable comes from the mirror and is null when the level wasn't known yet)
+   */
+  async recordWebhook(storeId, inventoryLevel, previousAvailable = null, eventId = null) {
+    const query = `
+      INSERT INTO inventory_ledger (
+        store_id, source, event_id, inventory_item_id, location_id,
+        quantity_name, quantity_before, quantity_after, delta
+      )
+      VALUES ($1, 'webhook', $2, $3, $4, 'available', $5::INTEGER, $6::INTEGER, $6::INTEGER - $5::INTEGER)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+      storeId,
+      eventId,
+      inventoryLevel.inventory_item_id,
+      inventoryLevel.location_id,
+      previousAvailable,
+      inventoryLevel.available
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Ledger entries for an inventory item, newest first
+   * (before is the id of the last entry already seen, for paging back in time)
+   */
+  async getHistory(storeId, inventoryItemId, { locationId = null, quantityName = null, before = null, limit = 50 } = {}) {
+    const query = `
+      SELECT l.id, l.inventory_item_id, l.location_id, l.quantity_name, l.quantity_before, l.quantity_after,
+             l.delta, l.reason, l.reference_document_uri, l.source, l.event_id, l.api_key_id,
+             k.name AS api_key_name, l.created_at
+      FROM inventory_ledger l
+      LEFT JOIN api_keys k ON k.id = l.api_key_id
+      WHERE l.store_id = $1 AND l.inventory_item_id = $2
+        AND ($3::BIGINT IS NULL OR l.location_id = $3)
+        AND ($4::TEXT IS NULL OR l.quantity_name = $4)
+        AND ($5::BIGINT IS NULL OR l.id < $5)
+      ORDER BY l.id DESC
+      LIMIT $6
+    `;
+
+    const result = await pool.query(query, [storeId, inventoryItemId, locationId, quantityName, before, limit]);
+    return result.rows;
+  }
+}
+
+module.exports = new InventoryLedgerService();
@@ -0,0 +1,89 @@
+const pool = require('../database/db');
+
+class InventoryTransferService {
+  /**
+   * Record a transfer before it is sent to Shopify.
+   * Returns null if the store already has a transfer with this reference.
+   */
+  async createTransfer(storeId, apiKeyId, { referenceId, inventoryItemId, fromLocationId, toLocationId, quantity, reason, referenceDocumentUri }) {
+    const query = `
+      INSERT INTO inventory_transfers (
+        store_id, api_key_id, reference_id, inventory_item_id, from_location_id, to_location_id,
+        quantity, reason, reference_document_uri
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (store_id, reference_id) DO NOTHING
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+      storeId,
+      apiKeyId,
+      referenceId,
+      inventoryItemId,
+      fromLocationId,
+      toLocationId,
+      quantity,
+      reason,
+      referenceDocumentUri
+    ]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a transfer completed with the resulting quantities at both locations
+   */
+  async completeTransfer(transferId, { fromAvailable = null, toAvailable = null } = {}) {
+    const query = `
+      UPDATE inventory_transfers
+      SET status = 'completed', from_available_after = $2, to_available_after = $3, completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [transferId, fromAvailable, toAvailable]);
+    return result.rows[0];
+  }
+
+  /**
+   * Mark a transfer failed (Shopify rejected it, so neither location changed)
+   */
+  async failTransfer(transferId, error) {
+    const query = `
+      UPDATE inventory_transfers
+      SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [transferId, error]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get a store's transfer by its reference ID
+   */
+  async getTransfer(storeId, referenceId) {
+    const query = 'SELECT * FROM inventory_transfers WHERE store_id = $1 AND reference_id = $2';
+    const result = await pool.query(query, [storeId, referenceId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get transfers for a store, newest first (optionally for one inventory item)
+   */
+  async getTransfersByStore(storeId, { inventoryItemId = null, limit = 50, offset = 0 } = {}) {
+    const query = `
+      SELECT * FROM inventory_transfers
+      WHERE store_id = $1 AND ($2::BIGINT IS NULL OR inventory_item_id = $2)
+      ORDER BY created_at DESC
+      LIMIT $3 OFFSET $4
+    `;
+
+    const result = await pool.query(query, [storeId, inventoryItemId, limit, offset]);
+    return result.rows;
+  }
+}
+
+module.exports = new InventoryTransferService();
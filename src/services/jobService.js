@@ -0,0 +1,121 @@
+const pool = require('../database/db');
+const config = require('../config');
+
+class JobService {
+  /**
+   * Create a job
+   */
+  async createJob(storeId, apiKeyId, type, resources) {
+    const query = `
+      INSERT INTO jobs (store_id, api_key_id, type, resources)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [storeId, apiKeyId, type, JSON.stringify(resources)]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get a job for a store
+   */
+  async getJob(jobId, storeId) {
+    const query = 'SELECT * FROM jobs WHERE id = $1 AND store_id = $2';
+    const result = await pool.query(query, [jobId, storeId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get jobs for a store
+   */
+  async getJobsByStore(storeId, limit = 50, offset = 0) {
+    const query = `
+      SELECT * FROM jobs
+      WHERE store_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [storeId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Get the store's unfinished job of a type, if any
+   */
+  async getActiveJob(storeId, type) {
+    const query = `
+      SELECT * FROM jobs
+      WHERE store_id = $1 AND type = $2 AND status IN ('pending', 'running')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [storeId, type]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update job status (and optionally the current bulk operation or error)
+   */
+  async updateStatus(jobId, status, { bulkOperationId, error } = {}) {
+    const query = `
+      UPDATE jobs
+      SET status = $2,
+          bulk_operation_id = COALESCE($3, bulk_operation_id),
+          error = $4,
+          started_at = CASE WHEN $2 = 'running' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+          completed_at = CASE WHEN $2 IN ('completed', 'failed') THEN CURRENT_TIMESTAMP ELSE completed_at END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [jobId, status, bulkOperationId || null, error || null]);
+    return result.rows[0];
+  }
+
+  /**
+   * Merge progress details for one resource of a job
+   */
+  async updateProgress(jobId, resource, progress) {
+    const query = `
+      UPDATE jobs
+      SET progress = jsonb_set(
+            COALESCE(progress, '{}'::JSONB),
+            ARRAY[$2::TEXT],
+            COALESCE(progress->$2, '{}'::JSONB) || $3::JSONB
+          ),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    await pool.query(query, [jobId, resource, JSON.stringify(progress)]);
+  }
+
+  /**
+   * Record that a job is still making progress
+   */
+  async touchJob(jobId) {
+    await pool.query('UPDATE jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [jobId]);
+  }
+
+  /**
+   * Fail unfinished jobs that stopped updating (their process died, e.g. in a restart).
+   * Jobs of other running instances keep updating, so they are left alone.
+   */
+  async failInterruptedJobs() {
+    const query = `
+      UPDATE jobs
+      SET status = 'failed', error = 'Interrupted: the job stopped making progress',
+          completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status IN ('pending', 'running')
+        AND updated_at < CURRENT_TIMESTAMP - $1::INTEGER * INTERVAL '1 millisecond'
+    `;
+
+    const result = await pool.query(query, [config.bulk.jobTimeoutMs]);
+    return result.rowCount;
+  }
+}
+
+module.exports = new JobService();
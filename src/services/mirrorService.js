@@ -0,0 +1,383 @@
+const pool = require('../database/db');
+const { ShopifyAPI } = require('../utils/shopify');
+
+// Mirrored resources and where they live ('inventory' is the API name for inventory levels)
+const MIRRORED_RESOURCES = {
+  orders: { table: 'mirror_orders', singular: 'order' },
+  products: { table: 'mirror_products', singular: 'product' },
+  customers: { table: 'mirror_customers', singular: 'customer' },
+  inventory_levels: { table: 'mirror_inventory_levels', singular: 'inventory_level' }
+};
+
+const RESOURCE_ALIASES = { inventory: 'inventory_levels' };
+
+// Backfill order matters: inventory levels are found through the mirrored products
+const BACKFILL_ORDER = ['products', 'inventory_levels', 'customers', 'orders'];
+
+const PAGE_SIZE = 250;
+const MAX_INVENTORY_ITEMS_PER_REQUEST = 50;
+
+class MirrorService {
+  constructor() {
+    this.backfilling = new Set();
+  }
+
+  /**
+   * Resolve an API resource name to its mirror, or null if it is not mirrored
+   */
+  resolveResource(resource) {
+    const name = RESOURCE_ALIASES[resource] || resource;
+    return MIRRORED_RESOURCES[name] ? name : null;
+  }
+
+  /**
+   * Insert or update a mirrored record.
+   * Records older than the mirrored copy (by updated_at) are ignored.
+   */
+  async upsertRecord(storeId, resource, record) {
+    if (resource === 'inventory_levels') {
+      return this.upsertInventoryLevel(storeId, record);
+    }
+
+    const { table } = MIRRORED_RESOURCES[resource];
+    const query = `
+      INSERT INTO ${table} (store_id, shopify_id, data, shopify_created_at, shopify_updated_at, synced_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (store_id, shopify_id)
+      DO UPDATE SET
+        data = EXCLUDED.data,
+        shopify_created_at = EXCLUDED.shopify_created_at,
+        shopify_updated_at = EXCLUDED.shopify_updated_at,
+        synced_at = CURRENT_TIMESTAMP
+      WHERE ${table}.shopify_updated_at IS NULL
+         OR EXCLUDED.shopify_updated_at IS NULL
+         OR ${table}.shopify_updated_at <= EXCLUDED.shopify_updated_at
+      RETURNING shopify_id
+    `;
+
+    const result = await pool.query(query, [
+      storeId,
+      record.id,
+      JSON.stringify(record),
+      record.created_at || null,
+      record.updated_at || null
+    ]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Insert or update a mirrored inventory level
+   */
+  async upsertInventoryLevel(storeId, level) {
+    const query = `
+      INSERT INTO mirror_inventory_levels (store_id, inventory_item_id, location_id, data, shopify_updated_at, synced_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (store_id, inventory_item_id, location_id)
+      DO UPDATE SET
+        data = EXCLUDED.data,
+        shopify_updated_at = EXCLUDED.shopify_updated_at,
+        synced_at = CURRENT_TIMESTAMP
+      WHERE mirror_inventory_levels.shopify_updated_at IS NULL
+         OR EXCLUDED.shopify_updated_at IS NULL
+         OR mirror_inventory_levels.shopify_updated_at <= EXCLUDED.shopify_updated_at
+      RETURNING inventory_item_id
+    `;
+
+    const result = await pool.query(query, [
+      storeId,
+      level.inventory_item_id,
+      level.location_id,
+      JSON.stringify(level),
+      level.updated_at || null
+    ]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Remove a mirrored record (e.g. after products/delete)
+   */
+  async removeRecord(storeId, resource, id) {
+    const { table } = MIRRORED_RESOURCES[resource];
+
+    if (resource === 'products') {
+      // The product's inventory items go with it
+      await pool.query(`
+        DELETE FROM mirror_inventory_levels
+        WHERE store_id = $1 AND inventory_item_id IN (
+          SELECT (variant->>'inventory_item_id')::BIGINT
+          FROM mirror_products, jsonb_array_elements(data->'variants') AS variant
+          WHERE store_id = $1 AND shopify_id = $2 AND variant->>'inventory_item_id' IS NOT NULL
+        )
+      `, [storeId, id]);
+    }
+
+    const result = await pool.query(`DELETE FROM ${table} WHERE store_id = $1 AND shopify_id = $2`, [storeId, id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Page size for a list request (Shopify's default and maximum)
+   */
+  getPageLimit(params = {}) {
+    return Math.min(parseInt(params.limit) || 50, PAGE_SIZE);
+  }
+
+  /**
+   * List mirrored records, filtered like the equivalent Shopify REST endpoint.
+   * Returns the REST response shape, e.g. { orders: [...] }.
+   * A cursor is the last ID of the previous page (equivalent to since_id).
+   */
+  async listRecords(storeId, resource, params = {}) {
+    const { table } = MIRRORED_RESOURCES[resource];
+    const limit = this.getPageLimit(params);
+    const conditions = ['store_id = $1'];
+    const values = [storeId];
+
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    const toList = value => value.toString().split(',').map(item => item.trim()).filter(Boolean);
+    const toIdList = value => toList(value).filter(id => /^\d+$/.test(id));
+
+    if (resource === 'inventory_levels') {
+      if (params.inventory_item_ids) addCondition('inventory_item_id = ANY(?::BIGINT[])', toIdList(params.inventory_item_ids));
+      if (params.location_ids) addCondition('location_id = ANY(?::BIGINT[])', toIdList(params.location_ids));
+      if (params.updated_at_min) addCondition('shopify_updated_at >= ?', params.updated_at_min);
+
+      values.push(limit);
+      const result = await pool.query(`
+        SELECT data FROM mirror_inventory_levels
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY inventory_item_id, location_id
+        LIMIT $${values.length}
+      `, values);
+
+      return { inventory_levels: result.rows.map(row => row.data) };
+    }
+
+    if (params.ids) addCondition('shopify_id = ANY(?::BIGINT[])', toIdList(params.ids));
+    const sinceId = params.cursor || params.since_id;
+    if (/^\d+$/.test(sinceId || '')) addCondition('shopify_id > ?', sinceId);
+    if (params.created_at_min) addCondition('shopify_created_at >= ?', params.created_at_min);
+    if (params.created_at_max) addCondition('shopify_created_at <= ?', params.created_at_max);
+    if (params.updated_at_min) addCondition('shopify_updated_at >= ?', params.updated_at_min);
+    if (params.updated_at_max) addCondition('shopify_updated_at <= ?', params.updated_at_max);
+
+    if (resource === 'orders') {
+      // Same default as Shopify: only open orders unless status=any
+      const status = params.status || 'open';
+      if (status === 'open') conditions.push("data->>'closed_at' IS NULL AND data->>'cancelled_at' IS NULL");
+      if (status === 'closed') conditions.push("data->>'closed_at' IS NOT NULL");
+      if (status === 'cancelled') conditions.push("data->>'cancelled_at' IS NOT NULL");
+      if (params.financial_status && params.financial_status !== 'any') {
+        addCondition("data->>'financial_status' = ?", params.financial_status);
+      }
+      if (params.fulfillment_status && params.fulfillment_status !== 'any') {
+        addCondition("COALESCE(data->>'fulfillment_status', 'unfulfilled') = ?", params.fulfillment_status);
+      }
+    }
+
+    if (resource === 'products' && params.status) {
+      addCondition("data->>'status' = ANY(?::TEXT[])", toList(params.status));
+    }
+
+    values.push(limit);
+    const result = await pool.query(`
+      SELECT data FROM ${table}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY shopify_id
+      LIMIT $${values.length}
+    `, values);
+
+    return { [resource]: result.rows.map(row => row.data) };
+  }
+
+  /**
+   * Get a single mirrored record in the REST response shape, e.g. { order: {...} }
+   */
+  async getRecord(storeId, resource, id) {
+    const { table, singular } = MIRRORED_RESOURCES[resource];
+
+    if (resource === 'inventory_levels') {
+      // Inventory levels are addressed by inventory item, across locations
+      const result = await pool.query(
+        'SELECT data FROM mirror_inventory_levels WHERE store_id = $1 AND inventory_item_id = $2 ORDER BY location_id',
+        [storeId, id]
+      );
+      return result.rows.length > 0 ? { inventory_levels: result.rows.map(row => row.data) } : null;
+    }
+
+    const result = await pool.query(`SELECT data FROM ${table} WHERE store_id = $1 AND shopify_id = $2`, [storeId, id]);
+    return result.rows.length > 0 ? { [singular]: result.rows[0].data } : null;
+  }
+
+  /**
+   * Backfill state per resource for a store
+   */
+  async getSyncState(storeId) {
+    const result = await pool.query(
+      'SELECT resource_type, status, record_count, last_error, started_at, completed_at FROM mirror_sync_state WHERE store_id = $1',
+      [storeId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Update backfill state for a resource
+   */
+  async setSyncState(storeId, resource, status, { recordCount = null, error = null } = {}) {
+    const query = `
+      INSERT INTO mirror_sync_state (store_id, resource_type, status, started_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (store_id, resource_type)
+      DO UPDATE SET
+        status = $3,
+        record_count = COALESCE($4, mirror_sync_state.record_count),
+        last_error = $5,
+        started_at = CASE WHEN $3 = 'running' THEN CURRENT_TIMESTAMP ELSE mirror_sync_state.started_at END,
+        completed_at = CASE WHEN $3 = 'completed' THEN CURRENT_TIMESTAMP ELSE mirror_sync_state.completed_at END
+    `;
+
+    await pool.query(query, [storeId, resource, status, recordCount, error]);
+  }
+
+  /**
+   * Whether a backfill is currently running for a store
+   */
+  isBackfilling(storeId) {
+    return this.backfilling.has(storeId);
+  }
+
+  /**
+   * Claim the store's backfill slot (only one backfill may rebuild a mirror at a time)
+   */
+  beginBackfill(storeId) {
+    if (this.backfilling.has(storeId)) return false;
+    this.backfilling.add(storeId);
+    return true;
+  }
+
+  /**
+   * Release the store's backfill slot
+   */
+  endBackfill(storeId) {
+    this.backfilling.delete(storeId);
+  }
+
+  /**
+   * Delete mirrored records not seen since the resource's backfill started
+   */
+  async sweepStale(storeId, resource) {
+    const { table } = MIRRORED_RESOURCES[resource];
+    const result = await pool.query(`
+      DELETE FROM ${table}
+      WHERE store_id = $1 AND synced_at < (
+        SELECT started_at FROM mirror_sync_state WHERE store_id = $1 AND resource_type = $2
+      )
+    `, [storeId, resource]);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Copy every mirrored resource from Shopify into the local tables.
+   * Records that no longer exist in Shopify are swept afterwards.
+   */
+  async backfillStore(store, resources = BACKFILL_ORDER) {
+    if (!this.beginBackfill(store.id)) {
+      return false;
+    }
+
+    const shopify = new ShopifyAPI(store.shop_domain, store.access_token);
+
+    try {
+      for (const resource of BACKFILL_ORDER.filter(r => resources.includes(r))) {
+        await this.setSyncState(store.id, resource, 'running');
+
+        try {
+          const count = resource === 'inventory_levels'
+            ? await this.backfillInventoryLevels(store.id, shopify)
+            : await this.backfillResource(store.id, shopify, resource);
+
+          await this.sweepStale(store.id, resource);
+          await this.setSyncState(store.id, resource, 'completed', { recordCount: count });
+          console.log(`🪞 Mirrored ${count} ${resource} for ${store.shop_domain}`);
+        } catch (error) {
+          console.error(`❌ Mirror backfill of ${resource} failed for ${store.shop_domain}:`, error.message);
+          await this.setSyncState(store.id, resource, 'failed', { error: error.shopifyMessage || error.message });
+        }
+      }
+
+      return true;
+    } finally {
+      this.endBackfill(store.id);
+    }
+  }
+
+  /**
+   * Page through a REST resource by since_id and mirror every record
+   */
+  async backfillResource(storeId, shopify, resource) {
+    let sinceId = 0;
+    let count = 0;
+
+    while (true) {
+      const params = { limit: PAGE_SIZE, since_id: sinceId };
+      if (resource === 'orders') params.status = 'any';
+
+      const result = await shopify.getResource(resource, params);
+      const records = result[resource] || [];
+
+      for (const record of records) {
+        await this.upsertRecord(storeId, resource, record);
+      }
+
+      count += records.length;
+      if (records.length < PAGE_SIZE) break;
+      sinceId = records[records.length - 1].id;
+    }
+
+    return count;
+  }
+
+  /**
+   * Mirror inventory levels for every inventory item of the mirrored products
+   */
+  async backfillInventoryLevels(storeId, shopify) {
+    const itemsResult = await pool.query(`
+      SELECT DISTINCT (variant->>'inventory_item_id')::BIGINT AS inventory_item_id
+      FROM mirror_products, jsonb_array_elements(data->'variants') AS variant
+      WHERE store_id = $1 AND variant->>'inventory_item_id' IS NOT NULL
+      ORDER BY 1
+    `, [storeId]);
+
+    const itemIds = itemsResult.rows.map(row => row.inventory_item_id);
+    if (itemIds.length === 0) return 0;
+
+    // Keep items x locations within a single page of levels
+    const locations = await shopify.getLocations();
+    const locationCount = Math.max(locations.locations?.length || 1, 1);
+    const chunkSize = Math.max(1, Math.min(MAX_INVENTORY_ITEMS_PER_REQUEST, Math.floor(PAGE_SIZE / locationCount)));
+    let count = 0;
+
+    for (let i = 0; i < itemIds.length; i += chunkSize) {
+      const chunk = itemIds.slice(i, i + chunkSize);
+      const result = await shopify.getInventoryLevels({ inventory_item_ids: chunk.join(','), limit: PAGE_SIZE });
+      const levels = result.inventory_levels || [];
+
+      for (const level of levels) {
+        await this.upsertInventoryLevel(storeId, level);
+      }
+
+      count += levels.length;
+    }
+
+    return count;
+  }
+}
+
+module.exports = new MirrorService();
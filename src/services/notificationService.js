@@ -0,0 +1,82 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+/**
+ * Outgoing notifications over the Slack webhook and SMTP channels.
+ * Delivery failures are logged rather than thrown, so a notification never
+ * breaks the request or webhook that triggered it.
+ */
+class NotificationService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * Whether Slack can be used (with an explicit or the configured support webhook)
+   */
+  canSendSlack(webhookUrl = config.app.supportWebhookUrl) {
+    return Boolean(webhookUrl);
+  }
+
+  /**
+   * Whether email can be sent (SMTP configured and a recipient known)
+   */
+  canSendEmail(to = config.app.supportEmail) {
+    return Boolean(to && config.app.smtp.host);
+  }
+
+  /**
+   * Post a message to a Slack incoming webhook (the support webhook by default)
+   */
+  async sendSlack(message, webhookUrl = config.app.supportWebhookUrl) {
+    if (!this.canSendSlack(webhookUrl)) return false;
+
+    try {
+      await axios.post(webhookUrl, message);
+      return true;
+    } catch (err) {
+      console.error('Slack error:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send an email over SMTP (to the support address by default)
+   */
+  async sendEmail({ to = config.app.supportEmail, from, replyTo, subject, text, html }) {
+    if (!this.canSendEmail(to)) return false;
+
+    try {
+      await this.getTransporter().sendMail({
+        from: from || config.app.smtp.user,
+        to,
+        replyTo,
+        subject,
+        text,
+        html
+      });
+      return true;
+    } catch (err) {
+      console.error('Email error:', err.message);
+      return false;
+    }
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: config.app.smtp.host,
+        port: config.app.smtp.port,
+        secure: config.app.smtp.port == 465,
+        auth: {
+          user: config.app.smtp.user,
+          pass: config.app.smtp.pass
+        }
+      });
+    }
+    return this.transporter;
+  }
+}
+
+module.exports = new NotificationService();
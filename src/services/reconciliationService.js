@@ -0,0 +1,94 @@
+const pool = require('../database/db');
+const config = require('../config');
+
+class ReconciliationService {
+  /**
+   * Save a reconciliation report (a dry run until it is applied)
+   */
+  async createReport(storeId, apiKeyId, items, summary) {
+    const query = `
+      INSERT INTO inventory_reconciliations (store_id, api_key_id, items, summary)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [storeId, apiKeyId, JSON.stringify(items), JSON.stringify(summary)]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get a store's report
+   */
+  async getReport(reportId, storeId) {
+    const query = 'SELECT * FROM inventory_reconciliations WHERE id = $1 AND store_id = $2';
+    const result = await pool.query(query, [reportId, storeId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a store's reports, newest first (without their items)
+   */
+  async getReportsByStore(storeId, limit = 50, offset = 0) {
+    const query = `
+      SELECT id, status, summary, created_at, applied_at
+      FROM inventory_reconciliations
+      WHERE store_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [storeId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Claim a pending report for applying (null if it doesn't exist or was already applied).
+   * A report left applying for longer than applyTimeoutMs was interrupted and can be claimed again.
+   */
+  async beginApply(reportId, storeId) {
+    const query = `
+      UPDATE inventory_reconciliations
+      SET status = 'applying', apply_started_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND store_id = $2 AND (
+        status = 'pending' OR
+        (status = 'applying' AND apply_started_at < CURRENT_TIMESTAMP - $3::INTEGER * INTERVAL '1 millisecond')
+      )
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [reportId, storeId, config.inventoryBatch.applyTimeoutMs]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Put reports whose apply was interrupted (e.g. by a restart) back to pending.
+   * Corrections are compare-and-set, so any that already went through are reported stale when it is applied again.
+   */
+  async releaseInterruptedApplies() {
+    const query = `
+      UPDATE inventory_reconciliations
+      SET status = 'pending', apply_started_at = NULL
+      WHERE status = 'applying' AND apply_started_at < CURRENT_TIMESTAMP - $1::INTEGER * INTERVAL '1 millisecond'
+    `;
+
+    const result = await pool.query(query, [config.inventoryBatch.applyTimeoutMs]);
+    return result.rowCount;
+  }
+
+  /**
+   * Store the outcome of applying a report
+   */
+  async finishApply(reportId, status, items, summary) {
+    const query = `
+      UPDATE inventory_reconciliations
+      SET status = $2, items = $3, summary = $4, applied_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [reportId, status, JSON.stringify(items), JSON.stringify(summary)]);
+    return result.rows[0];
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,135 @@
+const config = require('../config');
+const { ShopifyAPI } = require('../utils/shopify');
+
+/**
+ * In-memory SKU/barcode index per store, built from product variants.
+ * Lets inventory endpoints address items by SKU instead of inventory_item_id.
+ * An index is rebuilt when it is older than the TTL or after a products webhook.
+ */
+class SkuIndexService {
+  constructor() {
+    this.indexes = new Map();
+  }
+
+  /**
+   * Get the store's index, building it if it is missing or expired
+   * (concurrent callers share one build)
+   */
+  async getIndex(storeId, shopDomain, accessToken) {
+    const cached = this.indexes.get(storeId);
+
+    if (cached && Date.now() - cached.builtAt < config.skuIndex.ttlMs) {
+      return cached.ready;
+    }
+
+    const entry = { builtAt: Date.now(), ready: null };
+    entry.ready = this.buildIndex(shopDomain, accessToken).catch(error => {
+      if (this.indexes.get(storeId) === entry) {
+        this.indexes.delete(storeId);
+      }
+      throw error;
+    });
+
+    this.indexes.set(storeId, entry);
+    return entry.ready;
+  }
+
+  /**
+   * Page through every product and index its variants by SKU and barcode
+   */
+  async buildIndex(shopDomain, accessToken) {
+    const shopify = new ShopifyAPI(shopDomain, accessToken);
+    const index = { bySku: new Map(), byBarcode: new Map(), byItem: new Map(), variantCount: 0 };
+
+    for await (const page of shopify.paginate('products', { limit: 250, fields: 'id,title,variants' })) {
+      for (const product of page.data.products || []) {
+        for (const variant of product.variants || []) {
+          const entry = {
+            inventory_item_id: variant.inventory_item_id,
+            variant_id: variant.id,
+            product_id: product.id,
+            product_title: product.title,
+            variant_title: variant.title,
+            sku: variant.sku || null,
+            barcode: variant.barcode || null
+          };
+
+          addEntry(index.bySku, entry.sku, entry);
+          addEntry(index.byBarcode, entry.barcode, entry);
+          index.byItem.set(String(entry.inventory_item_id), entry);
+          index.variantCount++;
+        }
+      }
+    }
+
+    console.log(`🏷️ Built SKU index for ${shopDomain}: ${index.variantCount} variants, ${index.bySku.size} SKUs`);
+    return index;
+  }
+
+  /**
+   * Resolve a SKU or barcode to a single variant.
+   * Throws with status 404 when nothing matches and 409 when several variants share it.
+   */
+  async resolve(storeId, shopDomain, accessToken, { sku, barcode }) {
+    const index = await this.getIndex(storeId, shopDomain, accessToken);
+    return this.lookup(index, { sku, barcode });
+  }
+
+  /**
+   * Look up a SKU (or barcode) in an already built index
+   * (errors carry status, code and, when ambiguous, the conflicting matches)
+   */
+  lookup(index, { sku, barcode }) {
+    const field = normalizeKey(sku) ? 'sku' : 'barcode';
+    const value = normalizeKey(field === 'sku' ? sku : barcode);
+    const matches = (field === 'sku' ? index.bySku : index.byBarcode).get(value) || [];
+
+    if (matches.length === 0) {
+      const error = new Error(`No variant found with ${field} '${value}'`);
+      error.status = 404;
+      error.code = `${field.toUpperCase()}_NOT_FOUND`;
+      throw error;
+    }
+
+    if (matches.length > 1) {
+      const error = new Error(`${matches.length} variants share ${field} '${value}'; use inventory_item_id instead`);
+      error.status = 409;
+      error.code = `${field.toUpperCase()}_AMBIGUOUS`;
+      error.matches = matches;
+      throw error;
+    }
+
+    return matches[0];
+  }
+
+  /**
+   * Find the variant of an inventory item (null if it isn't in the index)
+   */
+  async findByItem(storeId, shopDomain, accessToken, inventoryItemId) {
+    const index = await this.getIndex(storeId, shopDomain, accessToken);
+    return index.byItem.get(String(inventoryItemId)) || null;
+  }
+
+  /**
+   * Drop a store's index so the next lookup rebuilds it
+   */
+  invalidate(storeId) {
+    this.indexes.delete(storeId);
+  }
+}
+
+function addEntry(map, key, entry) {
+  const normalized = normalizeKey(key);
+  if (!normalized) return;
+
+  if (!map.has(normalized)) {
+    map.set(normalized, []);
+  }
+  map.get(normalized).push(entry);
+}
+
+function normalizeKey(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+module.exports = new SkuIndexService();
@@ -26,9 +26,12 @@ class StoreService {
 
   /**
    * Get store by shop domain
+   * (includeInactive also finds uninstalled stores, e.g. for shop/redact)
    */
-  async getStoreByDomain(shopDomain) {
-    const query = 'SELECT * FROM stores WHERE shop_domain = $1 AND is_active = true';
+  async getStoreByDomain(shopDomain, includeInactive = false) {
+    const query = includeInactive
+      ? 'SELECT * FROM stores WHERE shop_domain = $1'
+      : 'SELECT * FROM stores WHERE shop_domain = $1 AND is_active = true';
     const result = await pool.query(query, [shopDomain]);
     
     if (result.rows.length === 0) {
@@ -0,0 +1,66 @@
+const pool = require('../database/db');
+const { decrypt } = require('../utils/crypto');
+
+class SubscriptionService {
+  /**
+   * Create (or re-activate) a subscription for an API key
+   */
+  async createSubscription(storeId, apiKeyId, topic, url) {
+    const query = `
+      INSERT INTO webhook_subscriptions (store_id, api_key_id, topic, url)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (api_key_id, topic, url)
+      DO UPDATE SET is_active = true
+      RETURNING id, topic, url, is_active, created_at
+    `;
+
+    const result = await pool.query(query, [storeId, apiKeyId, topic, url]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get all subscriptions owned by an API key
+   */
+  async getSubscriptionsByApiKey(apiKeyId) {
+    const query = `
+      SELECT id, topic, url, is_active, created_at
+      FROM webhook_subscriptions
+      WHERE api_key_id = $1
+      ORDER BY created_at DESC
+    `;
+
+    const result = await pool.query(query, [apiKeyId]);
+    return result.rows;
+  }
+
+  /**
+   * Delete a subscription owned by an API key
+   */
+  async deleteSubscription(subscriptionId, apiKeyId) {
+    const query = 'DELETE FROM webhook_subscriptions WHERE id = $1 AND api_key_id = $2';
+    const result = await pool.query(query, [subscriptionId, apiKeyId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Get active subscriptions for a topic, with the signing secret of each key
+   */
+  async getActiveSubscriptionsForTopic(storeId, topic) {
+    const query = `
+      SELECT ws.id, ws.api_key_id, ws.topic, ws.url, ak.api_secret
+      FROM webhook_subscriptions ws
+      JOIN api_keys ak ON ws.api_key_id = ak.id
+      WHERE ws.store_id = $1 AND ws.topic = $2
+        AND ws.is_active = true AND ak.is_active = true
+    `;
+
+    const result = await pool.query(query, [storeId, topic]);
+
+    return result.rows.map(subscription => ({
+      ...subscription,
+      api_secret: decrypt(subscription.api_secret)
+    }));
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -39,6 +39,56 @@ class SyncLogService {
     return result.rows;
   }
 
+  /**
+   * Get a store's log entry
+   */
+  async getLog(logId, storeId) {
+    const query = 'SELECT * FROM sync_logs WHERE id = $1 AND store_id = $2';
+    const result = await pool.query(query, [logId, storeId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim an operation for a revert (reverted_by is null until the revert is logged).
+   * Returns false if it was already reverted or is being reverted (only one revert can claim it).
+   */
+  async claimRevert(logId) {
+    const query = `
+      UPDATE sync_logs
+      SET details = COALESCE(details, '{}'::JSONB) || jsonb_build_object('reverted_by', NULL)
+      WHERE id = $1 AND NOT (COALESCE(details, '{}'::JSONB) ? 'reverted_by')
+    `;
+
+    const result = await pool.query(query, [logId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Point a claimed operation at the revert that undid it
+   */
+  async markReverted(logId, revertLogId) {
+    const query = `
+      UPDATE sync_logs
+      SET details = details || jsonb_build_object('reverted_by', $2::INTEGER)
+      WHERE id = $1
+    `;
+
+    await pool.query(query, [logId, revertLogId]);
+  }
+
+  /**
+   * Give up a claim whose revert failed, so the operation can be reverted again
+   */
+  async releaseRevert(logId) {
+    const query = `
+      UPDATE sync_logs
+      SET details = details - 'reverted_by'
+      WHERE id = $1 AND details -> 'reverted_by' = 'null'::JSONB
+    `;
+
+    await pool.query(query, [logId]);
+  }
+
   /**
    * Get logs by resource type
    */
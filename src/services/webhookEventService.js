@@ -0,0 +1,132 @@
+const pool = require('../database/db');
+
+class WebhookEventService {
+  /**
+   * Record a received webhook.
+   * Returns null when the X-Shopify-Webhook-Id was already seen (duplicate delivery),
+   * otherwise the event with its per-resource ordering metadata.
+   */
+  async recordEvent(storeId, { webhookId, topic, resourceType, resourceId, triggeredAt }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // One insert per store at a time (held until commit), so a store's events commit in id order
+      // and the change feed can't read past an id whose event is still being recorded
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('webhook_events'), $1::INTEGER)", [storeId]);
+
+      const eventResult = await client.query(`
+        INSERT INTO webhook_events (store_id, webhook_id, topic, resource_type, resource_id, triggered_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (store_id, webhook_id) DO NOTHING
+        RETURNING *
+      `, [storeId, webhookId || null, topic, resourceType, resourceId, triggeredAt || null]);
+
+      if (eventResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const event = eventResult.rows[0];
+      let version = null;
+      let stale = false;
+
+      if (resourceId) {
+        // Only advance the version when this event is not older than the last one seen
+        const versionResult = await client.query(`
+          INSERT INTO resource_versions (store_id, resource_type, resource_id, version, last_triggered_at, last_event_id)
+          VALUES ($1, $2, $3, 1, $4, $5)
+          ON CONFLICT (store_id, resource_type, resource_id)
+          DO UPDATE SET
+            version = resource_versions.version + 1,
+            last_triggered_at = EXCLUDED.last_triggered_at,
+            last_event_id = EXCLUDED.last_event_id,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE resource_versions.last_triggered_at IS NULL
+             OR EXCLUDED.last_triggered_at IS NULL
+             OR resource_versions.last_triggered_at <= EXCLUDED.last_triggered_at
+          RETURNING version
+        `, [storeId, resourceType, resourceId, event.triggered_at, event.id]);
+
+        if (versionResult.rows.length > 0) {
+          version = versionResult.rows[0].version;
+        } else {
+          stale = true;
+          const current = await client.query(
+            'SELECT version FROM resource_versions WHERE store_id = $1 AND resource_type = $2 AND resource_id = $3',
+            [storeId, resourceType, resourceId]
+          );
+          version = current.rows[0]?.version || null;
+        }
+
+        await client.query(
+          'UPDATE webhook_events SET resource_version = $2, is_stale = $3 WHERE id = $1',
+          [event.id, version, stale]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        id: event.id,
+        webhookId: event.webhook_id,
+        topic: event.topic,
+        resourceType,
+        resourceId,
+        triggeredAt: event.triggered_at,
+        version,
+        stale
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Forget an event so a retried delivery is processed again
+   */
+  async deleteEvent(eventId) {
+    await pool.query('DELETE FROM webhook_events WHERE id = $1', [eventId]);
+  }
+
+  /**
+   * Events after a cursor (webhook_events.id), oldest first.
+   * recordEvent commits a store's events in id order, so every id below a visible one is visible too.
+   */
+  async getChangesSince(storeId, sinceId, topics, limit = 100) {
+    const query = `
+      SELECT id, topic, resource_type, resource_id, resource_version, is_stale, triggered_at, received_at
+      FROM webhook_events
+      WHERE store_id = $1
+        AND id > $2
+        AND topic = ANY($3::VARCHAR[])
+      ORDER BY id
+      LIMIT $4
+    `;
+
+    const result = await pool.query(query, [storeId, sinceId, topics, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Get the latest known version of a resource
+   */
+  async getResourceVersion(storeId, resourceType, resourceId) {
+    const query = `
+      SELECT rv.resource_type, rv.resource_id, rv.version, rv.last_triggered_at,
+             we.webhook_id AS last_webhook_id, we.topic AS last_topic, rv.updated_at
+      FROM resource_versions rv
+      LEFT JOIN webhook_events we ON rv.last_event_id = we.id
+      WHERE rv.store_id = $1 AND rv.resource_type = $2 AND rv.resource_id = $3
+    `;
+
+    const result = await pool.query(query, [storeId, resourceType, resourceId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new WebhookEventService();
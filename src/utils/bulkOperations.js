@@ -0,0 +1,321 @@
+/**
+ * Bulk operation queries for the mirrored resources, and helpers that turn
+ * their JSONL output back into the REST shapes stored in the mirror tables
+ */
+
+const money = `shopMoney { amount }`;
+
+const BULK_QUERIES = {
+  products: `
+    {
+      products {
+        edges {
+          node {
+            id
+            title
+            handle
+            descriptionHtml
+            vendor
+            productType
+            status
+            tags
+            createdAt
+            updatedAt
+            publishedAt
+            variants {
+              edges {
+                node {
+                  id
+                  title
+                  sku
+                  barcode
+                  price
+                  compareAtPrice
+                  position
+                  inventoryQuantity
+                  selectedOptions { name value }
+                  inventoryItem { id }
+                  createdAt
+                  updatedAt
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  customers: `
+    {
+      customers {
+        edges {
+          node {
+            id
+            firstName
+            lastName
+            email
+            phone
+            state
+            note
+            tags
+            verifiedEmail
+            numberOfOrders
+            amountSpent { amount currencyCode }
+            createdAt
+            updatedAt
+          }
+        }
+      }
+    }
+  `,
+
+  orders: `
+    {
+      orders {
+        edges {
+          node {
+            id
+            name
+            email
+            note
+            tags
+            currencyCode
+            displayFinancialStatus
+            displayFulfillmentStatus
+            totalPriceSet { ${money} }
+            subtotalPriceSet { ${money} }
+            totalTaxSet { ${money} }
+            customer { id email }
+            createdAt
+            updatedAt
+            processedAt
+            closedAt
+            cancelledAt
+            cancelReason
+            lineItems {
+              edges {
+                node {
+                  id
+                  title
+                  quantity
+                  sku
+                  originalUnitPriceSet { ${money} }
+                  variant { id }
+                  product { id }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  inventory_levels: `
+    {
+      inventoryItems {
+        edges {
+          node {
+            id
+            inventoryLevels {
+              edges {
+                node {
+                  id
+                  location { id }
+                  quantities(names: ["available"]) { name quantity }
+                  updatedAt
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `
+};
+
+/**
+ * Convert a GID (gid://shopify/Order/123) to its numeric ID
+ */
+function gidToId(gid) {
+  if (!gid) return null;
+  return parseInt(gid.toString().split('/').pop().split('?')[0]);
+}
+
+/**
+ * Type name from a GID (gid://shopify/Order/123 -> Order)
+ */
+function gidType(gid) {
+  return gid ? gid.split('/')[3] : null;
+}
+
+function lower(value) {
+  return value ? value.toLowerCase() : null;
+}
+
+function tagString(tags) {
+  return Array.isArray(tags) ? tags.join(', ') : (tags || '');
+}
+
+const FULFILLMENT_STATUSES = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  RESTOCKED: 'restocked'
+};
+
+const NORMALIZERS = {
+  Product: node => ({
+    id: gidToId(node.id),
+    title: node.title,
+    handle: node.handle,
+    body_html: node.descriptionHtml,
+    vendor: node.vendor,
+    product_type: node.productType,
+    status: lower(node.status),
+    tags: tagString(node.tags),
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    published_at: node.publishedAt,
+    admin_graphql_api_id: node.id,
+    variants: []
+  }),
+
+  ProductVariant: node => {
+    const variant = {
+      id: gidToId(node.id),
+      product_id: gidToId(node.__parentId),
+      title: node.title,
+      sku: node.sku,
+      barcode: node.barcode,
+      price: node.price,
+      compare_at_price: node.compareAtPrice,
+      position: node.position,
+      inventory_quantity: node.inventoryQuantity,
+      inventory_item_id: gidToId(node.inventoryItem?.id),
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      admin_graphql_api_id: node.id
+    };
+    (node.selectedOptions || []).slice(0, 3).forEach((option, i) => {
+      variant[`option${i + 1}`] = option.value;
+    });
+    return variant;
+  },
+
+  Customer: node => ({
+    id: gidToId(node.id),
+    first_name: node.firstName,
+    last_name: node.lastName,
+    email: node.email,
+    phone: node.phone,
+    state: lower(node.state),
+    note: node.note,
+    tags: tagString(node.tags),
+    verified_email: node.verifiedEmail,
+    orders_count: node.numberOfOrders !== undefined ? parseInt(node.numberOfOrders) : null,
+    total_spent: node.amountSpent?.amount,
+    currency: node.amountSpent?.currencyCode,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    admin_graphql_api_id: node.id
+  }),
+
+  Order: node => ({
+    id: gidToId(node.id),
+    name: node.name,
+    order_number: parseInt((node.name || '').replace(/\D/g, '')) || null,
+    email: node.email,
+    note: node.note,
+    tags: tagString(node.tags),
+    currency: node.currencyCode,
+    financial_status: lower(node.displayFinancialStatus),
+    fulfillment_status: FULFILLMENT_STATUSES[node.displayFulfillmentStatus] || null,
+    total_price: node.totalPriceSet?.shopMoney?.amount,
+    subtotal_price: node.subtotalPriceSet?.shopMoney?.amount,
+    total_tax: node.totalTaxSet?.shopMoney?.amount,
+    customer: node.customer ? { id: gidToId(node.customer.id), email: node.customer.email } : null,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    processed_at: node.processedAt,
+    closed_at: node.closedAt,
+    cancelled_at: node.cancelledAt,
+    cancel_reason: lower(node.cancelReason),
+    admin_graphql_api_id: node.id,
+    line_items: []
+  }),
+
+  LineItem: node => ({
+    id: gidToId(node.id),
+    title: node.title,
+    quantity: node.quantity,
+    sku: node.sku,
+    price: node.originalUnitPriceSet?.shopMoney?.amount,
+    variant_id: gidToId(node.variant?.id),
+    product_id: gidToId(node.product?.id),
+    admin_graphql_api_id: node.id
+  }),
+
+  InventoryLevel: node => ({
+    inventory_item_id: gidToId(node.__parentId),
+    location_id: gidToId(node.location?.id),
+    available: node.quantities?.find(q => q.name === 'available')?.quantity ?? null,
+    updated_at: node.updatedAt,
+    admin_graphql_api_id: node.id
+  })
+};
+
+// Where child objects are attached on their REST parent
+const CHILD_COLLECTIONS = {
+  ProductVariant: 'variants',
+  LineItem: 'line_items'
+};
+
+/**
+ * Assemble JSONL lines into mirror records.
+ * Shopify writes nested objects on their own lines after their parent (linked by
+ * __parentId), so a record is complete once the next top-level object starts.
+ * Inventory levels are records of their own; their parent item is only an ID.
+ */
+function createRecordAssembler(resource, onRecord) {
+  let current = null;
+
+  const flush = async () => {
+    if (current) {
+      const record = current;
+      current = null;
+      await onRecord(record);
+    }
+  };
+
+  return {
+    async push(node) {
+      const type = gidType(node.id);
+      const normalize = NORMALIZERS[type];
+
+      if (resource === 'inventory_levels') {
+        if (type === 'InventoryLevel') await onRecord(normalize(node));
+        return;
+      }
+
+      if (!node.__parentId) {
+        await flush();
+        current = normalize ? normalize(node) : null;
+        return;
+      }
+
+      const collection = CHILD_COLLECTIONS[type];
+      if (current && collection && gidToId(node.__parentId) === current.id) {
+        current[collection].push(normalize(node));
+      }
+    },
+
+    flush
+  };
+}
+
+module.exports = {
+  BULK_QUERIES,
+  gidToId,
+  createRecordAssembler
+};
@@ -67,11 +67,22 @@ function verifyApiKey(apiKey, hashedKey) {
   return crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(hashedKey));
 }
 
+/**
+ * Sign an outbound payload with an API key's secret (HMAC-SHA256, base64)
+ */
+function signPayload(secret, payload) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(payload, 'utf8')
+    .digest('base64');
+}
+
 module.exports = {
   generateApiKey,
   generateApiSecret,
   encrypt,
   decrypt,
   hashApiKey,
-  verifyApiKey
+  verifyApiKey,
+  signPayload
 };
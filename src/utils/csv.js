@@ -0,0 +1,98 @@
+/**
+ * CSV helpers for exports and uploaded stock files
+ */
+
+/**
+ * Parse a column spec: "id,email,customer.email:Customer Email"
+ * (a dotted path picks a nested field; ":Header" renames the column)
+ */
+function parseColumns(spec) {
+  return spec
+    .split(',')
+    .map(column => column.trim())
+    .filter(Boolean)
+    .map(column => {
+      const separator = column.indexOf(':');
+      return separator === -1
+        ? { path: column, header: column }
+        : { path: column.slice(0, separator).trim(), header: column.slice(separator + 1).trim() };
+    });
+}
+
+/**
+ * Read a dotted path from an object ("customer.email", "line_items.0.sku")
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+/**
+ * Escape a value for a CSV cell (objects and arrays are written as JSON)
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build one CSV line (with trailing newline)
+ */
+function toCsvRow(values) {
+  return values.map(escapeCell).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * (quoted cells may contain commas, newlines and "" escapes; blank lines are skipped)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  const [header = [], ...records] = rows.filter(values => values.some(value => value.trim() !== ''));
+  const keys = header.map(key => key.trim());
+
+  return records.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? '').trim()])));
+}
+
+module.exports = {
+  parseColumns,
+  getPath,
+  toCsvRow,
+  parseCsv
+};
@@ -0,0 +1,131 @@
+/**
+ * Field-level diffs between a Shopify resource and a write payload
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumeric(value) {
+  return (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && !Number.isNaN(Number(value));
+}
+
+/**
+ * Whether a list holds records matched by id (variants, line items, addresses...)
+ */
+function isKeyedList(list) {
+  return Array.isArray(list) && list.length > 0 && list.every(item => isPlainObject(item) && item.id !== undefined && item.id !== null);
+}
+
+/**
+ * Deep equality that treats "19.90" and 19.9 as the same (Shopify returns prices and weights as strings)
+ */
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (isNumeric(a) && isNumeric(b)) return Number(a) === Number(b);
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => sameValue(item, b[i]));
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => sameValue(a[key], b[key]));
+  }
+
+  return false;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function walk(before, after, path, changes, partial) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(after), ...(partial ? [] : Object.keys(before))]);
+    keys.forEach(key => walk(before[key], after[key], joinPath(path, key), changes, partial));
+    return;
+  }
+
+  // Records in a list are compared by id; ones left out of the payload are removed
+  // (Shopify drops e.g. product variants missing from an update)
+  if (isKeyedList(before) && Array.isArray(after)) {
+    const existing = new Map(before.map(item => [String(item.id), item]));
+    const kept = new Set();
+
+    after.forEach((item, i) => {
+      const id = isPlainObject(item) && item.id !== undefined && item.id !== null ? String(item.id) : null;
+
+      if (id && existing.has(id)) {
+        kept.add(id);
+        walk(existing.get(id), item, `${path}[id=${id}]`, changes, partial);
+      } else {
+        changes.push({ path: `${path}[${i}]`, op: 'added', to: item });
+      }
+    });
+
+    before
+      .filter(item => !kept.has(String(item.id)))
+      .forEach(item => changes.push({ path: `${path}[id=${item.id}]`, op: 'removed', from: item }));
+    return;
+  }
+
+  if (sameValue(before, after)) return;
+
+  if (after === undefined) {
+    changes.push({ path, op: 'removed', from: before });
+  } else if (before === undefined) {
+    changes.push({ path, op: 'added', to: after });
+  } else {
+    changes.push({ path, op: 'changed', from: before, to: after });
+  }
+}
+
+/**
+ * List the changes that writing `after` over `before` would make, as
+ * [{ path, op: 'added' | 'changed' | 'removed', from, to }] with paths like "variants[id=123].price".
+ * With partial (the default), fields missing from `after` are left alone, as in a Shopify update.
+ */
+function diff(before, after, { partial = true } = {}) {
+  const changes = [];
+  walk(before ?? {}, after ?? {}, '', changes, partial);
+  return changes;
+}
+
+/**
+ * Split a change path into steps: "variants[id=1].price" -> ['variants', { id: '1' }, 'price'],
+ * "variants[2]" -> ['variants', 2]
+ */
+function parsePath(path) {
+  const steps = [];
+  const pattern = /([^.[\]]+)|\[id=([^\]]+)\]|\[(\d+)\]/g;
+  let match;
+
+  while ((match = pattern.exec(path)) !== null) {
+    if (match[1] !== undefined) steps.push(match[1]);
+    else if (match[2] !== undefined) steps.push({ id: match[2] });
+    else steps.push(parseInt(match[3]));
+  }
+  return steps;
+}
+
+/**
+ * Read the value at a change path (undefined if any step is missing)
+ */
+function readPath(obj, path) {
+  return parsePath(path).reduce((value, step) => {
+    if (value === null || value === undefined) return undefined;
+    if (typeof step === 'object') {
+      return Array.isArray(value) ? value.find(item => item && String(item.id) === step.id) : undefined;
+    }
+    return value[step];
+  }, obj);
+}
+
+module.exports = {
+  diff,
+  parsePath,
+  readPath,
+  sameValue,
+  isPlainObject
+};
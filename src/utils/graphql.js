@@ -1,5 +1,6 @@
 const axios = require('axios');
 const config = require('../config');
+const { graphqlCost, isThrottled } = require('./graphqlCost');
 
 /**
  * GraphQL utility for Shopify Admin API
@@ -18,19 +19,33 @@ class ShopifyGraphQL {
    */
   async query(graphqlQuery, variables = {}) {
     try {
-      const response = await axios.post(
-        this.baseUrl,
-        {
-          query: graphqlQuery,
-          variables: variables
-        },
-        {
-          headers: {
-            'X-Shopify-Access-Token': this.accessToken,
-            'Content-Type': 'application/json'
+      let response;
+      for (let attempt = 0; ; attempt++) {
+        // Wait until the shop's cost budget covers this query
+        await graphqlCost.reserve(this.shopDomain, graphqlQuery);
+
+        response = await axios.post(
+          this.baseUrl,
+          {
+            query: graphqlQuery,
+            variables: variables
+          },
+          {
+            headers: {
+              'X-Shopify-Access-Token': this.accessToken,
+              'Content-Type': 'application/json'
+            }
           }
-        }
-      );
+        );
+
+        graphqlCost.update(this.shopDomain, graphqlQuery, response.data.extensions?.cost);
+
+        if (!isThrottled(response.data.errors) || attempt >= config.rateLimit.maxRetries) break;
+
+        const delay = graphqlCost.getThrottleDelay(this.shopDomain, graphqlQuery);
+        console.warn(`⏳ Shopify GraphQL throttled for ${this.shopDomain}, retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
 
       if (response.data.errors) {
         const error = new Error('GraphQL query failed');
@@ -0,0 +1,164 @@
+/**
+ * Per-shop GraphQL cost tracker.
+ * Shopify meters the GraphQL Admin API in cost points: each query's requested cost
+ * is taken from a bucket that restores at a fixed rate, and every response reports
+ * the bucket in extensions.cost.throttleStatus. Both GraphQL clients share this
+ * tracker so a query waits until the shop's budget can cover it instead of being
+ * throttled.
+ */
+
+// Standard-plan bucket until Shopify tells us otherwise
+const DEFAULT_MAXIMUM_AVAILABLE = 1000;
+const DEFAULT_RESTORE_RATE = 50;
+
+// Cost assumed for a query before its first response reports the real one
+const DEFAULT_QUERY_COST = 50;
+
+class ShopBudget {
+  constructor() {
+    this.maximumAvailable = DEFAULT_MAXIMUM_AVAILABLE;
+    this.restoreRate = DEFAULT_RESTORE_RATE;
+    this.available = DEFAULT_MAXIMUM_AVAILABLE;
+    this.updatedAt = Date.now();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Restore points for the time elapsed since the last update
+   */
+  restore() {
+    const now = Date.now();
+    this.available = Math.min(
+      this.maximumAvailable,
+      this.available + ((now - this.updatedAt) / 1000) * this.restoreRate
+    );
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until the budget covers a cost
+   * (a query costing more than the whole bucket is sent anyway and rejected by Shopify)
+   */
+  waitTime(cost) {
+    if (cost > this.maximumAvailable || this.available >= cost) return 0;
+    return Math.ceil(((cost - this.available) / this.restoreRate) * 1000);
+  }
+}
+
+class GraphQLCostTracker {
+  constructor() {
+    this.budgets = new Map();
+    this.queryCosts = new Map();
+  }
+
+  getBudget(shop) {
+    if (!this.budgets.has(shop)) {
+      this.budgets.set(shop, new ShopBudget());
+    }
+    return this.budgets.get(shop);
+  }
+
+  /**
+   * Requested cost of a query, as last reported by Shopify
+   */
+  estimateCost(query) {
+    return this.queryCosts.get(query) || DEFAULT_QUERY_COST;
+  }
+
+  /**
+   * Wait until the shop's budget covers the query, then spend its estimated cost
+   */
+  reserve(shop, query) {
+    const budget = this.getBudget(shop);
+    const cost = this.estimateCost(query);
+
+    return new Promise(resolve => {
+      budget.queue.push({ cost, resolve });
+      this.drain(budget);
+    });
+  }
+
+  /**
+   * Release queued queries in order as the budget restores
+   */
+  drain(budget) {
+    if (budget.timer) return;
+
+    while (budget.queue.length > 0) {
+      budget.restore();
+      const next = budget.queue[0];
+      const wait = budget.waitTime(next.cost);
+
+      if (wait > 0) {
+        budget.timer = setTimeout(() => {
+          budget.timer = null;
+          this.drain(budget);
+        }, wait);
+        return;
+      }
+
+      budget.available -= next.cost;
+      budget.queue.shift();
+      next.resolve();
+    }
+  }
+
+  /**
+   * Sync the shop's budget and the query's cost from a response's extensions.cost
+   */
+  update(shop, query, cost) {
+    if (!cost) return;
+
+    if (cost.requestedQueryCost !== undefined) {
+      this.queryCosts.set(query, cost.requestedQueryCost);
+    }
+
+    const status = cost.throttleStatus;
+    if (!status) return;
+
+    const budget = this.getBudget(shop);
+    budget.maximumAvailable = status.maximumAvailable;
+    budget.restoreRate = status.restoreRate;
+    budget.available = status.currentlyAvailable;
+    budget.updatedAt = Date.now();
+  }
+
+  /**
+   * Delay before retrying a THROTTLED query: long enough to restore its cost
+   */
+  getThrottleDelay(shop, query) {
+    const budget = this.getBudget(shop);
+    budget.restore();
+    return Math.max(budget.waitTime(this.estimateCost(query)), 1000);
+  }
+
+  /**
+   * Current budget for a shop, or null if no queries were made yet
+   */
+  getStatus(shop) {
+    if (!this.budgets.has(shop)) return null;
+
+    const budget = this.getBudget(shop);
+    budget.restore();
+
+    return {
+      available: Math.floor(budget.available),
+      maximum: budget.maximumAvailable,
+      restoreRate: budget.restoreRate,
+      queued: budget.queue.length
+    };
+  }
+}
+
+/**
+ * Whether a GraphQL error list is Shopify's THROTTLED error
+ */
+function isThrottled(errors) {
+  return Array.isArray(errors) && errors.some(error => error.extensions?.code === 'THROTTLED');
+}
+
+module.exports = {
+  graphqlCost: new GraphQLCostTracker(),
+  isThrottled
+};
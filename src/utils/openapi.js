@@ -0,0 +1,194 @@
+/**
+ * OpenAPI 3 document generated from the Express routers and the docs attached to their routes
+ */
+
+const { version } = require('../../package.json');
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+const WRITE_METHODS = ['post', 'put', 'delete', 'patch'];
+
+/**
+ * Document a route for the spec, as middleware that only passes the request on:
+ * router.get('/orders', describeRoute('Orders', 'Get all orders'), requireScope('read_orders'), ...)
+ * - scope: the scope a route checks in its handler (requireScope and requireGraphQLScope set .scope themselves)
+ * - resources: the names the route's first path parameter takes; it's listed once per name, needing
+ *   scope(name), or read_<name> for GET and write_<name> otherwise
+ */
+function describeRoute(tag, summary, { scope = null, resources = null } = {}) {
+  const describe = (req, res, next) => next();
+  return Object.assign(describe, { tag, summary, scope, resources });
+}
+
+/**
+ * Routes of an Express router as { method, path, tag, summary, scope, resources }. A route's scope is the
+ * `.scope` of its middleware: requireScope and requireGraphQLScope set it on the checks they return, so
+ * the spec can leave out the routes a key can't call.
+ */
+function listRoutes(router) {
+  const routes = [];
+
+  router.stack
+    .filter(layer => layer.route)
+    .forEach(({ route }) => {
+      const paths = Array.isArray(route.path) ? route.path : [route.path];
+      const handles = route.stack.map(layer => layer.handle);
+      const doc = handles.find(handle => handle.summary) || {};
+      const scope = handles.map(handle => handle.scope).find(Boolean) || null;
+
+      Object.keys(route.methods)
+        .filter(method => METHODS.includes(method))
+        .forEach(method => paths.forEach(path => routes.push({
+          method,
+          path,
+          tag: doc.tag || 'Other',
+          summary: doc.summary || `${method.toUpperCase()} ${path}`,
+          scope,
+          resources: doc.resources || null
+        })));
+    });
+
+  return routes;
+}
+
+/**
+ * Whether a key with these scopes can call a route (a write scope also grants reading)
+ */
+function hasScope(scopes, scope) {
+  if (!scope) return true;
+  return scopes.includes(scope) || (scope.startsWith('read_') && scopes.includes(scope.replace('read_', 'write_')));
+}
+
+function resourceScope(method, resource) {
+  return `${method === 'get' ? 'read' : 'write'}_${resource}`;
+}
+
+function toOperation({ method, path, tag, summary, scope }) {
+  const pathParams = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+
+  const operation = {
+    operationId: `${method}_${path.replace(/[{}]/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean).join('_')}`,
+    summary,
+    tags: [tag],
+    parameters: WRITE_METHODS.includes(method)
+      ? [...pathParams, { $ref: '#/components/parameters/IdempotencyKey' }]
+      : pathParams,
+    responses: {
+      200: {
+        description: 'Success',
+        content: { 'application/json': { schema: { type: 'object' } } }
+      },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+
+  if (method === 'post' || method === 'put' || method === 'patch') {
+    operation.requestBody = {
+      content: { 'application/json': { schema: { type: 'object' } } }
+    };
+  }
+
+  if (scope) operation['x-required-scope'] = scope;
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document for a key's scopes.
+ * - sources: [{ prefix, router, tagPrefix }], the routers and the path they're mounted on
+ * - publicPaths: paths that don't need API credentials
+ */
+function buildSpec({ sources, scopes = [], publicPaths = [], serverUrl }) {
+  const paths = {};
+  const tags = new Set();
+
+  const addOperation = route => {
+    if (!hasScope(scopes, route.scope)) return;
+
+    // The first route registered for a path wins, as in Express
+    paths[route.path] = paths[route.path] || {};
+    if (paths[route.path][route.method]) return;
+
+    const operation = toOperation(route);
+    if (publicPaths.includes(route.path)) operation.security = [];
+
+    paths[route.path][route.method] = operation;
+    tags.add(route.tag);
+  };
+
+  sources.forEach(({ prefix, router, tagPrefix = '' }) => {
+    const toSpecPath = expressPath => prefix + expressPath.replace(/:(\w+)/g, '{$1}');
+
+    listRoutes(router).forEach(route => {
+      const tag = tagPrefix + route.tag;
+
+      if (route.resources) {
+        route.resources.forEach(resource => addOperation({
+          ...route,
+          path: toSpecPath(route.path.replace(/:\w+/, resource)),
+          tag,
+          summary: `${route.summary} (${resource})`,
+          scope: typeof route.scope === 'function' ? route.scope(resource) : resourceScope(route.method, resource)
+        }));
+        return;
+      }
+
+      addOperation({ ...route, path: toSpecPath(route.path), tag });
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Shopify Data Sync API',
+      version,
+      description: [
+        'Routes are limited to the scopes of the API key the document was generated for.',
+        'Write requests accept an `Idempotency-Key` header, and many accept `?dry_run=true` to preview the change.'
+      ].join('\n\n')
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    security: [{ ApiKey: [], ApiSecret: [] }],
+    tags: [...tags].sort().map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        ApiSecret: { type: 'apiKey', in: 'header', name: 'X-API-Secret' }
+      },
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description: 'Retries with the same key and body get the first response back instead of running again',
+          schema: { type: 'string', maxLength: 255 }
+        }
+      },
+      responses: {
+        Error: {
+          description: 'Error',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  error: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  describeRoute,
+  buildSpec
+};
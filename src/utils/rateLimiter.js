@@ -0,0 +1,150 @@
+const config = require('../config');
+
+/**
+ * Per-shop leaky bucket for Shopify REST calls.
+ * Shopify meters each store's REST API with a bucket (40 calls, leaking 2/s on
+ * standard plans; larger on Plus). Every ShopifyAPI instance in this process
+ * shares the bucket of its shop, so all API keys of a store queue together.
+ * The estimate is corrected from X-Shopify-Shop-Api-Call-Limit on every response.
+ */
+class ShopBucket {
+  constructor() {
+    this.capacity = config.rateLimit.bucketCapacity;
+    this.leakRate = config.rateLimit.leakRate;
+    this.level = 0;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Drain the bucket for the time elapsed since the last update
+   */
+  leak() {
+    const now = Date.now();
+    this.level = Math.max(0, this.level - ((now - this.updatedAt) / 1000) * this.leakRate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until another call fits in the bucket
+   */
+  waitTime() {
+    const now = Date.now();
+    const pause = Math.max(0, this.pausedUntil - now);
+    const overflow = this.level + 1 - this.capacity;
+    const drain = overflow > 0 ? Math.ceil((overflow / this.leakRate) * 1000) : 0;
+    return Math.max(pause, drain);
+  }
+}
+
+class ShopRateLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  getBucket(shop) {
+    if (!this.buckets.has(shop)) {
+      this.buckets.set(shop, new ShopBucket());
+    }
+    return this.buckets.get(shop);
+  }
+
+  /**
+   * Wait for room in the shop's bucket, then take a slot
+   */
+  acquire(shop) {
+    const bucket = this.getBucket(shop);
+
+    return new Promise(resolve => {
+      bucket.queue.push(resolve);
+      this.drain(bucket);
+    });
+  }
+
+  /**
+   * Release queued calls in order as the bucket leaks
+   */
+  drain(bucket) {
+    if (bucket.timer) return;
+
+    while (bucket.queue.length > 0) {
+      bucket.leak();
+      const wait = bucket.waitTime();
+
+      if (wait > 0) {
+        bucket.timer = setTimeout(() => {
+          bucket.timer = null;
+          this.drain(bucket);
+        }, wait);
+        return;
+      }
+
+      bucket.level += 1;
+      bucket.queue.shift()();
+    }
+  }
+
+  /**
+   * Sync the bucket with Shopify's X-Shopify-Shop-Api-Call-Limit header ("32/40")
+   */
+  update(shop, headers = {}) {
+    const header = headers['x-shopify-shop-api-call-limit'];
+    if (!header) return;
+
+    const [used, capacity] = header.split('/').map(value => parseInt(value));
+    if (isNaN(used) || isNaN(capacity)) return;
+
+    const bucket = this.getBucket(shop);
+    bucket.leak();
+    bucket.level = used;
+    if (capacity !== bucket.capacity) {
+      // Leak rate scales with the plan's bucket size (40 -> 2/s, 400 -> 20/s)
+      bucket.capacity = capacity;
+      bucket.leakRate = capacity / 20;
+    }
+  }
+
+  /**
+   * Hold every call for the shop (after a 429 with Retry-After)
+   */
+  pause(shop, ms) {
+    const bucket = this.getBucket(shop);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+    bucket.leak();
+    bucket.level = bucket.capacity;
+  }
+
+  /**
+   * Current estimated bucket fill for a shop, or null if no calls were made yet
+   */
+  getStatus(shop) {
+    if (!this.buckets.has(shop)) return null;
+
+    const bucket = this.getBucket(shop);
+    bucket.leak();
+
+    return {
+      used: Math.ceil(bucket.level),
+      capacity: bucket.capacity,
+      queued: bucket.queue.length
+    };
+  }
+}
+
+/**
+ * Delay before retrying a 429 (Retry-After when Shopify sends it, else exponential)
+ */
+function getRetryDelay(retryAfterHeader, attempt) {
+  const retryAfter = parseFloat(retryAfterHeader);
+  if (!isNaN(retryAfter) && retryAfter >= 0) {
+    return retryAfter * 1000;
+  }
+  return Math.min(config.rateLimit.baseBackoffMs * 2 ** attempt, config.rateLimit.maxBackoffMs);
+}
+
+module.exports = {
+  rateLimiter: new ShopRateLimiter(),
+  getRetryDelay
+};
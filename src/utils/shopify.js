@@ -1,6 +1,72 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../config');
+const { rateLimiter, getRetryDelay } = require('./rateLimiter');
+const { graphqlCost, isThrottled } = require('./graphqlCost');
+
+// Selection shared by the inventory quantity mutations
+const INVENTORY_MUTATION_PAYLOAD = `
+  inventoryAdjustmentGroup {
+    reason
+    referenceDocumentUri
+    changes {
+      name
+      delta
+      quantityAfterChange
+      item { id }
+      location { id }
+    }
+  }
+  userErrors {
+    field
+    message
+    code
+  }
+`;
+
+// Fields of a fulfillment, as read by formatFulfillment
+const FULFILLMENT_FIELDS = `
+  id
+  name
+  status
+  createdAt
+  trackingInfo {
+    company
+    number
+    url
+  }
+  fulfillmentLineItems(first: 250) {
+    nodes {
+      id
+      quantity
+      lineItem { id sku }
+    }
+  }
+`;
+
+// Selection shared by the fulfillment mutations
+const FULFILLMENT_MUTATION_PAYLOAD = `
+  fulfillment { ${FULFILLMENT_FIELDS} }
+  userErrors {
+    field
+    message
+  }
+`;
+
+// Fields of a fulfillment order returned by the fulfillment order mutations
+const FULFILLMENT_ORDER_FIELDS = `
+  id
+  status
+  requestStatus
+  assignedLocation {
+    name
+    location { id }
+  }
+  fulfillmentHolds {
+    reason
+    reasonNotes
+  }
+`;
 
 class ShopifyAPI {
   constructor(shop, accessToken) {
@@ -8,12 +74,58 @@ class ShopifyAPI {
     this.accessToken = accessToken;
     this.apiVersion = config.shopify.apiVersion;
     this.baseUrl = `https://${shop.replace(/\/+$/, '')}/admin/api/${this.apiVersion}`;
+
+    // Optional async callback(changes, { reason, referenceDocumentUri }) for inventory writes
+    this.onInventoryAdjusted = null;
+  }
+
+  /**
+   * Send a request through the shop's rate limiter, retrying HTTP 429s.
+   * REST calls take a slot in the shop's leaky bucket; GraphQL is metered separately.
+   */
+  async send(requestConfig, { useBucket = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (useBucket) {
+        await rateLimiter.acquire(this.shop);
+      }
+
+      try {
+        const response = await axios(requestConfig);
+        rateLimiter.update(this.shop, response.headers);
+        return response;
+      } catch (error) {
+        if (error.response) {
+          rateLimiter.update(this.shop, error.response.headers);
+        }
+
+        if (error.response?.status !== 429 || attempt >= config.rateLimit.maxRetries) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(error.response.headers['retry-after'], attempt);
+        console.warn(`⏳ Shopify rate limit hit for ${this.shop}, retrying in ${delay}ms (attempt ${attempt + 1}/${config.rateLimit.maxRetries})`);
+
+        if (useBucket) {
+          rateLimiter.pause(this.shop, delay);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
   }
 
   /**
    * Make API request to Shopify
    */
   async request(method, endpoint, data = null) {
+    const response = await this.requestWithResponse(method, endpoint, data);
+    return response.data;
+  }
+
+  /**
+   * Make API request to Shopify, returning the full response (status, headers and data)
+   */
+  async requestWithResponse(method, endpoint, data = null) {
     try {
       // Ensure endpoint starts with a slash and handle potential double slashes
       const cleanEndpoint = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
@@ -37,7 +149,7 @@ class ShopifyAPI {
       console.log('  Has Access Token:', !!this.accessToken);
       console.log('  Token Preview:', this.accessToken ? this.accessToken.substring(0, 10) + '...' : 'MISSING');
 
-      const response = await axios({
+      const response = await this.send({
         method,
         url,
         headers,
@@ -45,7 +157,7 @@ class ShopifyAPI {
       });
 
       console.log('✅ Shopify API Success:', response.status);
-      return response.data;
+      return response;
     } catch (error) {
       const errorDetails = {
         status: error.response?.status,
@@ -213,12 +325,26 @@ class ShopifyAPI {
       console.log('🟣 Shopify GraphQL Request:');
       console.log('  URL:', url);
 
-      const response = await axios({
-        method: 'POST',
-        url,
-        headers,
-        data: { query, variables }
-      });
+      let response;
+      for (let attempt = 0; ; attempt++) {
+        // Wait until the shop's cost budget covers this query
+        await graphqlCost.reserve(this.shop, query);
+
+        response = await this.send({
+          method: 'POST',
+          url,
+          headers,
+          data: { query, variables }
+        }, { useBucket: false });
+
+        graphqlCost.update(this.shop, query, response.data.extensions?.cost);
+
+        if (!isThrottled(response.data.errors) || attempt >= config.rateLimit.maxRetries) break;
+
+        const delay = graphqlCost.getThrottleDelay(this.shop, query);
+        console.warn(`⏳ Shopify GraphQL throttled for ${this.shop}, retrying in ${delay}ms (attempt ${attempt + 1}/${config.rateLimit.maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
 
       if (response.data.errors) {
         console.error('❌ Shopify GraphQL Errors:', JSON.stringify(response.data.errors, null, 2));
@@ -238,6 +364,50 @@ class ShopifyAPI {
     }
   }
 
+  // Bulk Operations
+  async runBulkQuery(query) {
+    const mutation = `
+      mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id status }
+          userErrors { field message }
+        }
+      }
+    `;
+
+    const result = await this.graphql(mutation, { query });
+
+    if (result.bulkOperationRunQuery.userErrors.length > 0) {
+      const error = new Error('Bulk Operation User Error');
+      error.shopifyMessage = JSON.stringify(result.bulkOperationRunQuery.userErrors);
+      throw error;
+    }
+
+    return result.bulkOperationRunQuery.bulkOperation;
+  }
+
+  async getBulkOperation(operationId) {
+    const query = `
+      query getBulkOperation($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            objectCount
+            url
+            partialDataUrl
+            createdAt
+            completedAt
+          }
+        }
+      }
+    `;
+
+    const result = await this.graphql(query, { id: operationId });
+    return result.node;
+  }
+
   // Inventory
   async getInventoryLevels(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -245,81 +415,253 @@ class ShopifyAPI {
     return this.request('GET', endpoint);
   }
 
-  async updateInventoryLevel(inventoryItemId, locationId, available) {
-    // Inventory level writes are deprecated in REST API 2024-01+
-    // Using GraphQL inventorySetOnHandQuantities mutation instead
-
-    if (!inventoryItemId || !locationId) {
-      throw new Error('Missing required parameters: inventory_item_id and location_id are both required for inventory updates.');
-    }
-
-    // Format IDs as GIDs if they are numeric
-    const itemGid = inventoryItemId.toString().startsWith('gid://')
-      ? inventoryItemId
-      : `gid://shopify/InventoryItem/${inventoryItemId}`;
-
-    const locationGid = locationId.toString().startsWith('gid://')
-      ? locationId
-      : `gid://shopify/Location/${locationId}`;
+  /**
+   * Hand the changes of a successful inventory mutation to onInventoryAdjusted, if set
+   * (lets callers keep a ledger of every quantity change made through this client)
+   */
+  async reportInventoryAdjustment(payload, input) {
+    const changes = payload?.inventoryAdjustmentGroup?.changes || [];
+    if (!this.onInventoryAdjusted || changes.length === 0) return;
+
+    await this.onInventoryAdjusted(changes.map(change => ({
+      inventory_item_id: change.item.id.split('/').pop(),
+      location_id: change.location.id.split('/').pop(),
+      quantity_name: change.name,
+      delta: change.delta,
+      quantity_after: change.quantityAfterChange
+    })), {
+      reason: input.reason,
+      referenceDocumentUri: input.referenceDocumentUri || null
+    });
+  }
 
+  /**
+   * Set on-hand quantities for many item/location pairs in one inventorySetOnHandQuantities call.
+   * Returns the mutation payload ({ inventoryAdjustmentGroup, userErrors }).
+   */
+  async setOnHandQuantities(setQuantities, reason = 'correction', referenceDocumentUri = null) {
     const mutation = `
       mutation inventorySetOnHandQuantities($input: InventorySetOnHandQuantitiesInput!) {
         inventorySetOnHandQuantities(input: $input) {
-          inventoryAdjustmentGroup {
-            changes {
-              name
-              quantityAfterChange
-              item { id }
-              location { id }
-            }
-          }
-          userErrors {
-            field
-            message
-          }
+          ${INVENTORY_MUTATION_PAYLOAD}
         }
       }
     `;
 
-    const variables = {
-      input: {
-        reason: "correction",
-        setQuantities: [
-          {
-            inventoryItemId: itemGid,
-            locationId: locationGid,
-            quantity: parseInt(available) || 0
-          }
-        ]
+    const input = { reason, setQuantities, ...(referenceDocumentUri && { referenceDocumentUri }) };
+    const result = await this.graphql(mutation, { input });
+    await this.reportInventoryAdjustment(result.inventorySetOnHandQuantities, input);
+    return result.inventorySetOnHandQuantities;
+  }
+
+  /**
+   * Set available quantities with inventorySetQuantities, each checked against its
+   * compareQuantity (a mismatch fails with the COMPARE_QUANTITY_STALE user error)
+   */
+  async setQuantities(quantities, reason = 'correction', referenceDocumentUri = null) {
+    const mutation = `
+      mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+          ${INVENTORY_MUTATION_PAYLOAD}
+        }
+      }
+    `;
+
+    const input = {
+      name: 'available',
+      reason,
+      quantities,
+      ...(referenceDocumentUri && { referenceDocumentUri })
+    };
+    const result = await this.graphql(mutation, { input });
+    await this.reportInventoryAdjustment(result.inventorySetQuantities, input);
+    return result.inventorySetQuantities;
+  }
+
+  /**
+   * Apply signed deltas to available quantities with inventoryAdjustQuantities
+   */
+  async adjustQuantities(changes, reason = 'correction', referenceDocumentUri = null) {
+    const mutation = `
+      mutation inventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
+        inventoryAdjustQuantities(input: $input) {
+          ${INVENTORY_MUTATION_PAYLOAD}
+        }
       }
+    `;
+
+    const input = {
+      name: 'available',
+      reason,
+      changes,
+      ...(referenceDocumentUri && { referenceDocumentUri })
     };
+    const result = await this.graphql(mutation, { input });
+    await this.reportInventoryAdjustment(result.inventoryAdjustQuantities, input);
+    return result.inventoryAdjustQuantities;
+  }
 
-    const result = await this.graphql(mutation, variables);
+  /**
+   * Set an inventory level. Options: reason, referenceDocumentUri, and compareQuantity
+   * (the expected current available quantity; the update fails with status 409 if it has changed).
+   */
+  async updateInventoryLevel(inventoryItemId, locationId, available, { reason = 'correction', referenceDocumentUri = null, compareQuantity } = {}) {
+    // Inventory level writes are deprecated in REST API 2024-01+
+    // Using GraphQL inventorySetOnHandQuantities mutation instead
 
-    // Check for user errors in the GraphQL response
-    if (result.inventorySetOnHandQuantities.userErrors && result.inventorySetOnHandQuantities.userErrors.length > 0) {
-      const error = new Error('Inventory Update User Error');
-      error.shopifyMessage = JSON.stringify(result.inventorySetOnHandQuantities.userErrors);
-      throw error;
+    if (!inventoryItemId || !locationId) {
+      throw new Error('Missing required parameters: inventory_item_id and location_id are both required for inventory updates.');
     }
 
+    const quantity = {
+      inventoryItemId: toGid('InventoryItem', inventoryItemId),
+      locationId: toGid('Location', locationId),
+      quantity: parseInt(available) || 0
+    };
+
+    // Compare-and-set needs inventorySetQuantities (on-hand sets can't be conditional)
+    const payload = compareQuantity === undefined || compareQuantity === null
+      ? await this.setOnHandQuantities([quantity], reason, referenceDocumentUri)
+      : await this.setQuantities([{ ...quantity, compareQuantity: parseInt(compareQuantity) }], reason, referenceDocumentUri);
+
+    checkInventoryUserErrors(payload, 'Inventory Update User Error');
+
     // Transform back to a structure similar to REST for backward compatibility
-    const changes = result.inventorySetOnHandQuantities.inventoryAdjustmentGroup?.changes || [];
-    const change = changes.find(c => c.name === 'on_hand') || changes[0] || {};
+    const changes = payload.inventoryAdjustmentGroup?.changes || [];
+    const change = changes.find(c => c.name === 'on_hand') || changes.find(c => c.name === 'available') || changes[0] || {};
     // If there were no changes, quantityAfterChange won't exist because the count stayed the same. 
     // In that case, the 'available' quantity is just the quantity we asked it to be set to.
-    const quantity = (change.quantityAfterChange ?? parseInt(available)) || 0;
+    const quantityAfter = (change.quantityAfterChange ?? parseInt(available)) || 0;
 
     return {
       inventory_level: {
         inventory_item_id: (change.item?.id || inventoryItemId.toString()).split('/').pop(),
         location_id: (change.location?.id || locationId.toString()).split('/').pop(),
-        available: quantity,
+        available: quantityAfter,
         updated_at: new Date().toISOString()
       }
     };
   }
 
+  /**
+   * Change an inventory level by a signed delta (concurrent sales are kept, unlike a set)
+   */
+  async adjustInventoryLevel(inventoryItemId, locationId, delta, { reason = 'correction', referenceDocumentUri = null } = {}) {
+    if (!inventoryItemId || !locationId) {
+      throw new Error('Missing required parameters: inventory_item_id and location_id are both required for inventory updates.');
+    }
+
+    const payload = await this.adjustQuantities([
+      {
+        inventoryItemId: toGid('InventoryItem', inventoryItemId),
+        locationId: toGid('Location', locationId),
+        delta: parseInt(delta) || 0
+      }
+    ], reason, referenceDocumentUri);
+
+    checkInventoryUserErrors(payload, 'Inventory Adjust User Error');
+
+    const changes = payload.inventoryAdjustmentGroup?.changes || [];
+    const change = changes.find(c => c.name === 'available') || changes[0] || {};
+
+    return {
+      inventory_level: {
+        inventory_item_id: (change.item?.id || inventoryItemId.toString()).split('/').pop(),
+        location_id: (change.location?.id || locationId.toString()).split('/').pop(),
+        available: change.quantityAfterChange ?? null,
+        delta: change.delta ?? (parseInt(delta) || 0),
+        updated_at: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Move a quantity of an item between two locations.
+   * Both sides go in one inventoryAdjustQuantities call, which Shopify applies all-or-nothing
+   * (inventoryMoveQuantities only moves between quantity names at a single location).
+   */
+  async transferInventory(inventoryItemId, fromLocationId, toLocationId, quantity, { reason = 'movement_created', referenceDocumentUri = null } = {}) {
+    const itemGid = toGid('InventoryItem', inventoryItemId);
+    const sourceGid = toGid('Location', fromLocationId);
+    const destinationGid = toGid('Location', toLocationId);
+
+    const payload = await this.adjustQuantities([
+      { inventoryItemId: itemGid, locationId: sourceGid, delta: -quantity },
+      { inventoryItemId: itemGid, locationId: destinationGid, delta: quantity }
+    ], reason, referenceDocumentUri);
+
+    checkInventoryUserErrors(payload, 'Inventory Transfer User Error');
+
+    const changes = payload.inventoryAdjustmentGroup?.changes || [];
+    const availableAt = locationGid => changes.find(c => c.name === 'available' && c.location?.id === locationGid)?.quantityAfterChange ?? null;
+
+    return {
+      from: { location_id: sourceGid.split('/').pop(), available: availableAt(sourceGid) },
+      to: { location_id: destinationGid.split('/').pop(), available: availableAt(destinationGid) }
+    };
+  }
+
+  /**
+   * Fetch one page of a REST list endpoint (e.g. 'orders', 'inventory_levels').
+   * A cursor replaces all other filters, as Shopify only accepts page_info with limit and fields.
+   */
+  async getPage(path, params = {}, cursor = null) {
+    const pageParams = cursor
+      ? { page_info: cursor, ...(params.limit && { limit: params.limit }), ...(params.fields && { fields: params.fields }) }
+      : params;
+
+    const queryString = new URLSearchParams(pageParams).toString();
+    const endpoint = queryString ? `/${path}.json?${queryString}` : `/${path}.json`;
+    const response = await this.requestWithResponse('GET', endpoint);
+    const links = parseLinkHeader(response.headers.link);
+
+    return {
+      data: response.data,
+      nextCursor: links.next || null,
+      prevCursor: links.previous || null
+    };
+  }
+
+  /**
+   * Iterate over every page of a REST list endpoint
+   */
+  async *paginate(path, params = {}, cursor = null) {
+    let page = await this.getPage(path, params, cursor);
+    yield page;
+
+    while (page.nextCursor) {
+      page = await this.getPage(path, params, page.nextCursor);
+      yield page;
+    }
+  }
+
+  /**
+   * Collect pages of a REST list endpoint until there are none left or maxRecords is reached
+   * (whole pages are kept, so the result can exceed maxRecords by less than a page)
+   */
+  async getAll(path, params = {}, maxRecords = Infinity, cursor = null) {
+    let key = null;
+    const records = [];
+    let nextCursor = null;
+    let pages = 0;
+
+    for await (const page of this.paginate(path, params, cursor)) {
+      key = key || Object.keys(page.data).find(k => Array.isArray(page.data[k]));
+      records.push(...(key ? page.data[key] : []));
+      nextCursor = page.nextCursor;
+      pages++;
+
+      if (records.length >= maxRecords) break;
+    }
+
+    return {
+      data: { [key || path]: records },
+      nextCursor,
+      pages,
+      truncated: !!nextCursor
+    };
+  }
+
   /**
    * Generic Resource Getter (fallback for uncategorized resources)
    */
@@ -339,8 +681,99 @@ class ShopifyAPI {
     return this.request('GET', `/orders/${orderId}/fulfillments.json`);
   }
 
-  async createFulfillment(orderId, fulfillmentData) {
-    return this.request('POST', `/orders/${orderId}/fulfillments.json`, { fulfillment: fulfillmentData });
+  /**
+   * Create a fulfillment with fulfillmentCreateV2 (the REST fulfillments endpoint is rejected by newer API versions).
+   * lineItemsByFulfillmentOrder is [{ fulfillmentOrderId, fulfillmentOrderLineItems: [{ id, quantity }] }],
+   * all at one location; trackingInfo is { company, numbers, urls }.
+   */
+  async createFulfillmentV2(lineItemsByFulfillmentOrder, { trackingInfo = null, notifyCustomer = false, message = null } = {}) {
+    const mutation = `
+      mutation fulfillmentCreateV2($fulfillment: FulfillmentV2Input!, $message: String) {
+        fulfillmentCreateV2(fulfillment: $fulfillment, message: $message) {
+          ${FULFILLMENT_MUTATION_PAYLOAD}
+        }
+      }
+    `;
+
+    const fulfillment = {
+      lineItemsByFulfillmentOrder,
+      notifyCustomer,
+      ...(trackingInfo && { trackingInfo })
+    };
+    const result = await this.graphql(mutation, { fulfillment, message });
+
+    checkFulfillmentUserErrors(result.fulfillmentCreateV2, 'Fulfillment Create User Error');
+    return result.fulfillmentCreateV2.fulfillment;
+  }
+
+  /**
+   * Fulfill line items of an order through its fulfillment orders.
+   * lineItems is [{ id, quantity }] with order line item IDs (every remaining item when omitted;
+   * a missing quantity means all that is left of that line). Shopify fulfills one location
+   * at a time, so items assigned to several locations become one fulfillment per location.
+   */
+  async fulfillOrder(orderId, { lineItems = null, locationId = null, trackingInfo = null, notifyCustomer = false, message = null } = {}) {
+    const plan = await this.planOrderFulfillment(orderId, { lineItems, locationId });
+
+    const fulfillments = [];
+    try {
+      for (const { lineItemsByFulfillmentOrder } of plan) {
+        const fulfillment = await this.createFulfillmentV2(lineItemsByFulfillmentOrder, { trackingInfo, notifyCustomer, message });
+        fulfillments.push(formatFulfillment(fulfillment, orderId));
+      }
+    } catch (error) {
+      // Fulfillments already created at other locations stand; report them with the error
+      error.fulfillments = fulfillments;
+      throw error;
+    }
+
+    return fulfillments;
+  }
+
+  /**
+   * Work out the fulfillments fulfillOrder would create: [{ locationId, lineItemsByFulfillmentOrder }]
+   * (throws the same 422 errors when the line items can't be fulfilled)
+   */
+  async planOrderFulfillment(orderId, { lineItems = null, locationId = null } = {}) {
+    const { fulfillment_orders: fulfillmentOrders = [] } = await this.getFulfillmentOrders(orderId);
+    return planFulfillment(fulfillmentOrders, lineItems, locationId);
+  }
+
+  /**
+   * Get a fulfillment by ID (null if it doesn't exist)
+   */
+  async getFulfillment(fulfillmentId) {
+    const query = `
+      query fulfillment($id: ID!) {
+        fulfillment(id: $id) { ${FULFILLMENT_FIELDS} }
+      }
+    `;
+
+    const result = await this.graphql(query, { id: toGid('Fulfillment', fulfillmentId) });
+    return result.fulfillment ? formatFulfillment(result.fulfillment) : null;
+  }
+
+  /**
+   * Replace a fulfillment's tracking info (trackingInfo is { company, numbers, urls }),
+   * optionally emailing the customer the new details
+   */
+  async updateFulfillmentTracking(fulfillmentId, trackingInfo, notifyCustomer = true) {
+    const mutation = `
+      mutation fulfillmentTrackingInfoUpdateV2($fulfillmentId: ID!, $trackingInfoInput: FulfillmentTrackingInput!, $notifyCustomer: Boolean) {
+        fulfillmentTrackingInfoUpdateV2(fulfillmentId: $fulfillmentId, trackingInfoInput: $trackingInfoInput, notifyCustomer: $notifyCustomer) {
+          ${FULFILLMENT_MUTATION_PAYLOAD}
+        }
+      }
+    `;
+
+    const result = await this.graphql(mutation, {
+      fulfillmentId: toGid('Fulfillment', fulfillmentId),
+      trackingInfoInput: trackingInfo,
+      notifyCustomer
+    });
+
+    checkFulfillmentUserErrors(result.fulfillmentTrackingInfoUpdateV2, 'Fulfillment Tracking User Error');
+    return formatFulfillment(result.fulfillmentTrackingInfoUpdateV2.fulfillment);
   }
 
   // Fulfillment Orders
@@ -348,6 +781,133 @@ class ShopifyAPI {
     return this.request('GET', `/orders/${orderId}/fulfillment_orders.json`);
   }
 
+  async getFulfillmentOrder(fulfillmentOrderId) {
+    return this.request('GET', `/fulfillment_orders/${fulfillmentOrderId}.json`);
+  }
+
+  /**
+   * Put a fulfillment order on hold so it can't be fulfilled (e.g. for fraud review).
+   * Holding only some lineItems ([{ id, quantity }] with fulfillment order line item IDs)
+   * splits the rest into a remaining fulfillment order.
+   */
+  async holdFulfillmentOrder(fulfillmentOrderId, { reason, reasonNotes = null, notifyMerchant = false, lineItems = null }) {
+    const mutation = `
+      mutation fulfillmentOrderHold($id: ID!, $fulfillmentHold: FulfillmentOrderHoldInput!) {
+        fulfillmentOrderHold(id: $id, fulfillmentHold: $fulfillmentHold) {
+          fulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+          remainingFulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+          userErrors { field message code }
+        }
+      }
+    `;
+
+    const fulfillmentHold = {
+      reason,
+      notifyMerchant,
+      ...(reasonNotes && { reasonNotes }),
+      ...(lineItems && { fulfillmentOrderLineItems: toFulfillmentOrderLineItems(lineItems) })
+    };
+    const result = await this.graphql(mutation, { id: toGid('FulfillmentOrder', fulfillmentOrderId), fulfillmentHold });
+
+    checkFulfillmentUserErrors(result.fulfillmentOrderHold, 'Fulfillment Order Hold User Error');
+    return {
+      fulfillment_order: formatFulfillmentOrder(result.fulfillmentOrderHold.fulfillmentOrder),
+      remaining_fulfillment_order: formatFulfillmentOrder(result.fulfillmentOrderHold.remainingFulfillmentOrder)
+    };
+  }
+
+  /**
+   * Release every hold on a fulfillment order
+   */
+  async releaseFulfillmentOrderHold(fulfillmentOrderId) {
+    const mutation = `
+      mutation fulfillmentOrderReleaseHold($id: ID!) {
+        fulfillmentOrderReleaseHold(id: $id) {
+          fulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+          userErrors { field message code }
+        }
+      }
+    `;
+
+    const result = await this.graphql(mutation, { id: toGid('FulfillmentOrder', fulfillmentOrderId) });
+
+    checkFulfillmentUserErrors(result.fulfillmentOrderReleaseHold, 'Fulfillment Order Release User Error');
+    return { fulfillment_order: formatFulfillmentOrder(result.fulfillmentOrderReleaseHold.fulfillmentOrder) };
+  }
+
+  /**
+   * Move a fulfillment order (or some of its lineItems) to another location
+   */
+  async moveFulfillmentOrder(fulfillmentOrderId, newLocationId, lineItems = null) {
+    const mutation = `
+      mutation fulfillmentOrderMove($id: ID!, $newLocationId: ID!, $fulfillmentOrderLineItems: [FulfillmentOrderLineItemInput!]) {
+        fulfillmentOrderMove(id: $id, newLocationId: $newLocationId, fulfillmentOrderLineItems: $fulfillmentOrderLineItems) {
+          movedFulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+          originalFulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+          remainingFulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+          userErrors { field message }
+        }
+      }
+    `;
+
+    const result = await this.graphql(mutation, {
+      id: toGid('FulfillmentOrder', fulfillmentOrderId),
+      newLocationId: toGid('Location', newLocationId),
+      fulfillmentOrderLineItems: lineItems ? toFulfillmentOrderLineItems(lineItems) : null
+    });
+
+    const payload = result.fulfillmentOrderMove;
+    checkFulfillmentUserErrors(payload, 'Fulfillment Order Move User Error');
+    return {
+      moved_fulfillment_order: formatFulfillmentOrder(payload.movedFulfillmentOrder),
+      original_fulfillment_order: formatFulfillmentOrder(payload.originalFulfillmentOrder),
+      remaining_fulfillment_order: formatFulfillmentOrder(payload.remainingFulfillmentOrder)
+    };
+  }
+
+  /**
+   * Cancel a fulfillment order the merchant fulfills themselves
+   * (Shopify replaces it with a new open fulfillment order for the same items)
+   */
+  async cancelFulfillmentOrder(fulfillmentOrderId) {
+    const mutation = `
+      mutation fulfillmentOrderCancel($id: ID!) {
+        fulfillmentOrderCancel(id: $id) {
+          fulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+          replacementFulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+          userErrors { field message }
+        }
+      }
+    `;
+
+    const result = await this.graphql(mutation, { id: toGid('FulfillmentOrder', fulfillmentOrderId) });
+
+    checkFulfillmentUserErrors(result.fulfillmentOrderCancel, 'Fulfillment Order Cancel User Error');
+    return {
+      fulfillment_order: formatFulfillmentOrder(result.fulfillmentOrderCancel.fulfillmentOrder),
+      replacement_fulfillment_order: formatFulfillmentOrder(result.fulfillmentOrderCancel.replacementFulfillmentOrder)
+    };
+  }
+
+  /**
+   * Ask the fulfillment service (e.g. a 3PL) holding a fulfillment order to cancel it
+   */
+  async requestFulfillmentOrderCancellation(fulfillmentOrderId, message = null) {
+    const mutation = `
+      mutation fulfillmentOrderSubmitCancellationRequest($id: ID!, $message: String) {
+        fulfillmentOrderSubmitCancellationRequest(id: $id, message: $message) {
+          fulfillmentOrder { ${FULFILLMENT_ORDER_FIELDS} }
+          userErrors { field message }
+        }
+      }
+    `;
+
+    const result = await this.graphql(mutation, { id: toGid('FulfillmentOrder', fulfillmentOrderId), message });
+
+    checkFulfillmentUserErrors(result.fulfillmentOrderSubmitCancellationRequest, 'Fulfillment Order Cancellation Request User Error');
+    return { fulfillment_order: formatFulfillmentOrder(result.fulfillmentOrderSubmitCancellationRequest.fulfillmentOrder) };
+  }
+
   // Returns
   async getReturns(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -388,6 +948,194 @@ class ShopifyAPI {
   }
 }
 
+/**
+ * Throw on an inventory mutation's userErrors
+ * (a stale compareQuantity becomes a 409 so callers can re-read and retry)
+ */
+function checkInventoryUserErrors(payload, message) {
+  const userErrors = payload.userErrors || [];
+  if (userErrors.length === 0) return;
+
+  const error = new Error(message);
+  error.shopifyMessage = JSON.stringify(userErrors);
+  error.userErrors = userErrors;
+
+  if (userErrors.some(userError => userError.code === 'COMPARE_QUANTITY_STALE')) {
+    error.message = 'Inventory quantity has changed since it was read';
+    error.status = 409;
+    error.code = 'COMPARE_QUANTITY_STALE';
+  }
+  throw error;
+}
+
+/**
+ * Throw on a fulfillment mutation's userErrors (status 422: Shopify refused the request as sent)
+ */
+function checkFulfillmentUserErrors(payload, message) {
+  const userErrors = payload.userErrors || [];
+  if (userErrors.length === 0) return;
+
+  const error = new Error(userErrors.map(userError => userError.message).join('; ') || message);
+  error.shopifyMessage = JSON.stringify(userErrors);
+  error.userErrors = userErrors;
+  error.status = 422;
+  error.code = 'FULFILLMENT_REJECTED';
+  throw error;
+}
+
+function fulfillmentError(message, code) {
+  const error = new Error(message);
+  error.status = 422;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Work out which fulfillment order line items to fulfill for requested order line items
+ * (see fulfillOrder). Returns one entry per location: { locationId, lineItemsByFulfillmentOrder }.
+ */
+function planFulfillment(fulfillmentOrders, lineItems, locationId) {
+  const fulfillable = fulfillmentOrders.filter(fulfillmentOrder =>
+    (fulfillmentOrder.supported_actions || []).includes('create_fulfillment') &&
+    (!locationId || String(fulfillmentOrder.assigned_location_id) === String(locationId))
+  );
+
+  // fulfillment order id -> [{ id, quantity }]
+  const selected = new Map();
+  const select = (fulfillmentOrder, lineItem, quantity) => {
+    const items = selected.get(fulfillmentOrder.id) || [];
+    items.push({ id: toGid('FulfillmentOrderLineItem', lineItem.id), quantity });
+    selected.set(fulfillmentOrder.id, items);
+  };
+
+  if (!lineItems) {
+    fulfillable.forEach(fulfillmentOrder => {
+      fulfillmentOrder.line_items
+        .filter(lineItem => lineItem.fulfillable_quantity > 0)
+        .forEach(lineItem => select(fulfillmentOrder, lineItem, lineItem.fulfillable_quantity));
+    });
+  } else {
+    for (const requested of lineItems) {
+      const candidates = fulfillable.flatMap(fulfillmentOrder => fulfillmentOrder.line_items
+        .filter(lineItem => String(lineItem.line_item_id) === String(requested.id) && lineItem.fulfillable_quantity > 0)
+        .map(lineItem => ({ fulfillmentOrder, lineItem })));
+
+      const available = candidates.reduce((sum, candidate) => sum + candidate.lineItem.fulfillable_quantity, 0);
+      let remaining = requested.quantity === undefined || requested.quantity === null ? available : parseInt(requested.quantity);
+
+      if (available === 0) {
+        throw fulfillmentError(`Line item ${requested.id} has nothing left to fulfill${locationId ? ` at location ${locationId}` : ''}`, 'LINE_ITEM_NOT_FULFILLABLE');
+      }
+      if (remaining > available) {
+        throw fulfillmentError(`Line item ${requested.id} has only ${available} left to fulfill (requested ${remaining})`, 'QUANTITY_NOT_FULFILLABLE');
+      }
+
+      for (const { fulfillmentOrder, lineItem } of candidates) {
+        if (remaining <= 0) break;
+        const quantity = Math.min(remaining, lineItem.fulfillable_quantity);
+        select(fulfillmentOrder, lineItem, quantity);
+        remaining -= quantity;
+      }
+    }
+  }
+
+  if (selected.size === 0) {
+    throw fulfillmentError('The order has nothing left to fulfill', 'NOTHING_TO_FULFILL');
+  }
+
+  const byLocation = new Map();
+  for (const fulfillmentOrder of fulfillable.filter(fulfillmentOrder => selected.has(fulfillmentOrder.id))) {
+    const location = String(fulfillmentOrder.assigned_location_id);
+    const entries = byLocation.get(location) || [];
+    entries.push({
+      fulfillmentOrderId: toGid('FulfillmentOrder', fulfillmentOrder.id),
+      fulfillmentOrderLineItems: selected.get(fulfillmentOrder.id)
+    });
+    byLocation.set(location, entries);
+  }
+
+  return [...byLocation].map(([location, lineItemsByFulfillmentOrder]) => ({ locationId: location, lineItemsByFulfillmentOrder }));
+}
+
+/**
+ * Shape a GraphQL fulfillment like a REST one
+ */
+function formatFulfillment(fulfillment, orderId = null) {
+  const trackingInfo = fulfillment.trackingInfo || [];
+
+  return {
+    id: fulfillment.id.split('/').pop(),
+    admin_graphql_api_id: fulfillment.id,
+    ...(orderId && { order_id: String(orderId) }),
+    name: fulfillment.name,
+    status: fulfillment.status?.toLowerCase(),
+    created_at: fulfillment.createdAt,
+    tracking_company: trackingInfo[0]?.company || null,
+    tracking_numbers: trackingInfo.map(info => info.number).filter(Boolean),
+    tracking_urls: trackingInfo.map(info => info.url).filter(Boolean),
+    line_items: (fulfillment.fulfillmentLineItems?.nodes || []).map(node => ({
+      id: node.lineItem.id.split('/').pop(),
+      sku: node.lineItem.sku,
+      quantity: node.quantity
+    }))
+  };
+}
+
+/**
+ * Shape a GraphQL fulfillment order like a REST one (null stays null)
+ */
+function formatFulfillmentOrder(fulfillmentOrder) {
+  if (!fulfillmentOrder) return null;
+
+  return {
+    id: fulfillmentOrder.id.split('/').pop(),
+    admin_graphql_api_id: fulfillmentOrder.id,
+    status: fulfillmentOrder.status?.toLowerCase(),
+    request_status: fulfillmentOrder.requestStatus?.toLowerCase(),
+    assigned_location_id: fulfillmentOrder.assignedLocation?.location?.id.split('/').pop() || null,
+    assigned_location_name: fulfillmentOrder.assignedLocation?.name || null,
+    fulfillment_holds: (fulfillmentOrder.fulfillmentHolds || []).map(hold => ({
+      reason: hold.reason?.toLowerCase(),
+      reason_notes: hold.reasonNotes || null
+    }))
+  };
+}
+
+/**
+ * [{ id, quantity }] with fulfillment order line item IDs, as FulfillmentOrderLineItemInput
+ */
+function toFulfillmentOrderLineItems(lineItems) {
+  return lineItems.map(lineItem => ({
+    id: toGid('FulfillmentOrderLineItem', lineItem.id),
+    quantity: parseInt(lineItem.quantity)
+  }));
+}
+
+/**
+ * Format an ID as a GID if it is numeric (e.g. toGid('Location', 123))
+ */
+function toGid(type, id) {
+  return id.toString().startsWith('gid://') ? id.toString() : `gid://shopify/${type}/${id}`;
+}
+
+/**
+ * Parse a Link header into its page_info cursors ({ next, previous })
+ */
+function parseLinkHeader(link) {
+  const cursors = {};
+  if (!link) return cursors;
+
+  for (const part of link.split(',')) {
+    const match = part.match(/<([^>]+)>;\s*rel="?(\w+)"?/);
+    if (match) {
+      const pageInfo = new URL(match[1]).searchParams.get('page_info');
+      if (pageInfo) cursors[match[2]] = pageInfo;
+    }
+  }
+
+  return cursors;
+}
+
 /**
  * Verify Shopify webhook HMAC
  */
@@ -455,6 +1203,8 @@ async function getAccessToken(shop, code) {
 
 module.exports = {
   ShopifyAPI,
+  parseLinkHeader,
+  toGid,
   verifyWebhook,
   verifyShopifyRequest,
   generateNonce,